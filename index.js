@@ -1,4 +1,4 @@
-import { getStringHash, debounce } from '../../../utils.js';
+import { getStringHash, debounce, download, isTrueBoolean, uuidv4 } from '../../../utils.js';
 import {
     extension_settings,
     getContext,
@@ -20,27 +20,105 @@ import {
 } from '../../../../script.js';
 import { selected_group } from '../../../group-chats.js';
 import { debounce_timeout } from '../../../constants.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from '../../../popup.js';
+import { ConnectionManagerRequestService } from '../../shared.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 
 const MODULE_NAME = 'chat_compressor';
 const EXTENSION_PROMPT_TAG = 'chat_compressor_injection';
 
-// Google AI Embedding API endpoint
-const GOOGLE_EMBEDDING_API = 'https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent';
+// 运行状态
+let isCompressing = false;
+let isGenerating = false;
+let autoCompressQueued = false;
+let gapCompressQueued = false;
+let lastGapWarning = '';
+let currentSpeaker = '';  // 群聊中即将发言的角色
+let statusNote = '';
+let budgetBreakdown = null;
+
+// Google AI API base URL
+const GOOGLE_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
 
 // Default settings
 const defaultSettings = {
     enabled: true,
+    embeddingProvider: 'google',  // google | openai | ollama
     googleApiKey: '',  // 用户自己的 Google AI API Key
+    googleEmbeddingModel: 'text-embedding-004',
+    openaiBaseUrl: 'https://api.openai.com/v1',  // OpenAI 兼容接口地址（含 /v1）
+    openaiApiKey: '',
+    openaiEmbeddingModel: 'text-embedding-3-small',
+    ollamaBaseUrl: 'http://localhost:11434',
+    ollamaEmbeddingModel: 'nomic-embed-text',
+    chunkSize: 800,  // 向量化分块的最大字符数
+    chunkOverlap: 100,  // 相邻分块重叠的字符数
+    embeddingBatchSize: 50,  // 每次请求的文本数（受服务上限约束）
+    embeddingConcurrency: 2,  // 同时进行的请求数
+    embeddingMaxRetries: 5,  // 429/5xx/网络错误的最大重试次数
+    vectorQuantization: 'float32',  // 向量存储精度: float32 / float16 / int8
+    annThreshold: 5000,  // 向量数超过此值时使用 IVF 近似检索，0 = 始终全量比较
+    annProbes: 10,  // IVF 检索时扫描的簇数
     keepRecentMessages: 10,
     summaryMaxWords: 500,  // 每次增量压缩的摘要字数
     maxTotalSummaryLength: 2000,  // 总摘要最大长度，超过则压缩总摘要
     retrieveCount: 5,
     similarityThreshold: 0.3,
+    hybridWeight: 0.3,  // 关键词(BM25)分数在融合分数中的权重，0 = 只用向量
+    importanceWeight: 0.2,  // 检索排序中消息重要性的权重
+    recencyWeight: 0.1,  // 检索排序中新近度的权重
+    recencyHalfLife: 200,  // 新近度每隔多少条消息减半，0 = 不衰减
+    mmrDiversity: 0.3,  // 检索结果的多样性 (MMR)，越大越避免选入内容相近的片段，0 = 只按分数排序
+    rateImportance: false,  // 压缩时让模型为每条消息的重要性打分
+    importancePrompt: '为以下每条消息的重要性打分（1-10）：关键剧情、承诺、告白、冲突、重要决定和新信息得分高，寒暄、闲聊和重复内容得分低。每行输出一条，格式为「编号: 分数」，编号即方括号中的数字，不要解释。',
+    tokenBudgetMode: false,  // 按总 token 预算分配摘要、检索片段和最近消息
+    totalTokenBudget: 4000,  // 摘要 + 检索片段 + 保留的最近消息的总 token 数
+    contextExpansion: 0,  // 检索命中时前后各带上多少条相邻消息
+    retrievedTokenBudget: 0,  // 检索片段的 token 上限，0 = 不限制
+    queryMessageCount: 1,  // 检索查询使用的最近消息数（双方），从最新的用户消息往前数
+    queryRecencyDecay: 0.7,  // 每往前一条消息，查询权重乘以此值
+    queryIncludeCharacter: false,  // 查询中总是包含角色的上一条回复
+    queryRewrite: false,  // 检索前让 LLM 把对话改写成检索关键词
+    summarySource: 'main',  // 摘要使用的模型: main = 当前聊天模型, profile = 连接配置, openai = OpenAI 兼容接口
+    summaryProfileId: '',
+    summaryBaseUrl: '',
+    summaryApiKey: '',
+    summaryModel: '',
+    summaryMaxTokens: 1000,  // 独立摘要连接的最大回复 token
+    summaryTemperature: 0.3,
+    summaryChunkTokens: 6000,  // 每次摘要请求的最大消息 token，超出则分块摘要，0 = 不分块
+    summaryChunkCarry: true,  // 分块摘要时把上一块的摘要作为前文提供给模型
+    postProcessPreset: 'dense',  // 摘要后处理预设: dense = 精简中文, readable = 可读英文, markdown = 保留 Markdown, none = 不处理
+    postProcessRules: '',  // 自定义替换规则，每行一条: /正则/标志 => 替换内容
+    summaryRetries: 1,  // 摘要被拒绝、续写对话或超出字数时的重试次数
+    summaryStrictPrompt: '注意：你不是在继续对话或扮演角色。不要拒绝，不要续写剧情，只输出上述对话内容的客观摘要，严格控制在{{words}}字以内。',
+    summaryPreview: false,  // 新摘要替换原摘要前显示差异预览（仅手动操作）
+    memoryBank: false,  // 把单人聊天的摘要和向量收集到角色的长期记忆库
+    memoryBankCount: 3,  // 每次从长期记忆库检索的片段数
+    groupSummaryByCharacter: true,  // 群聊摘要按角色分段
+    groupSummaryPrompt: '这是群聊，请按角色分段总结，每个角色一段，格式为：- 角色名：该角色的行为、经历和关系变化。不要遗漏任何角色。参与的角色: {{members}}',
+    groupSpeakerBoost: 0.2,  // 群聊检索时，与即将发言角色相关的命中分数提升比例
+    groupWitnessedOnly: false,  // 群聊只注入即将发言角色可能目睹的记忆
+    groupWitnessWindow: 10,  // 角色在命中前后多少条消息内发过言，视为在场
+    extractMemory: false,  // 压缩时提取人物、关系、地点、物品和未完结线索
+    memoryPrompt: `从以下对话中提取需要长期记住的设定，输出 JSON 数组，每项格式为 {"category": 类别, "subject": 对象, "value": 内容}。
+类别只能是: character(人物身份、外貌、状态), relationship(人物关系，subject 写作"甲-乙"), location(地点), inventory(谁持有什么物品), thread(尚未解决的情节线索)。
+已有记忆如下。与对话矛盾或有变化的条目，用相同的 category 和 subject 输出新内容以替换；已失效的条目（物品失去、线索已解决）输出空字符串 value 以删除；没有变化的不要输出。
+{{memory}}
+只输出 JSON，不要解释。`,
+    queryRewritePrompt: '根据以下最近的对话，提取用于检索历史记录的关键词（人名、地点、物品、事件、话题），用空格分隔，只输出关键词，不要解释。',
     skipVectorize: true,
     position: extension_prompt_types.IN_PROMPT,
     depth: 2,
     hideCompressedMessages: false,
     showRetrieved: false,  // 是否显示检索结果
+    autoCompress: false,  // 收到新消息后自动在后台压缩
+    autoCompressMessages: 20,  // 未压缩消息（不含保留的最近消息）达到此数量时触发
+    autoCompressTokens: 0,  // 未压缩部分估算 token 超过此值时触发，0 = 不按 token 触发
+    gapAction: 'warn',  // 隐藏消息时发现未压缩的旧消息: warn = 提示, compress = 生成结束后自动补压缩
     summaryPrompt: `用最精简的方式总结以下对话，要求：
 1.用分号分隔不同事件，不要换行
 2.省略所有不必要的标点、空格、连接词
@@ -51,6 +129,9 @@ const defaultSettings = {
     injectionTemplate: `[前情提要]
 {{summary}}
 
+[置顶内容]
+{{pinned}}
+
 [相关历史片段]
 {{retrieved}}`,
 };
@@ -70,20 +151,83 @@ function loadSettings() {
 
     // Update UI with current settings
     $('#chat_compressor_enabled').prop('checked', extension_settings[MODULE_NAME].enabled);
+    $('#chat_compressor_embedding_provider').val(extension_settings[MODULE_NAME].embeddingProvider);
     $('#chat_compressor_google_api_key').val(extension_settings[MODULE_NAME].googleApiKey);
+    $('#chat_compressor_google_model').val(extension_settings[MODULE_NAME].googleEmbeddingModel);
+    $('#chat_compressor_openai_base_url').val(extension_settings[MODULE_NAME].openaiBaseUrl);
+    $('#chat_compressor_openai_api_key').val(extension_settings[MODULE_NAME].openaiApiKey);
+    $('#chat_compressor_openai_model').val(extension_settings[MODULE_NAME].openaiEmbeddingModel);
+    $('#chat_compressor_ollama_base_url').val(extension_settings[MODULE_NAME].ollamaBaseUrl);
+    $('#chat_compressor_ollama_model').val(extension_settings[MODULE_NAME].ollamaEmbeddingModel);
+    updateProviderBlocks();
+    populateSummaryProfiles();
+    $('#chat_compressor_summary_source').val(extension_settings[MODULE_NAME].summarySource);
+    $('#chat_compressor_summary_base_url').val(extension_settings[MODULE_NAME].summaryBaseUrl);
+    $('#chat_compressor_summary_api_key').val(extension_settings[MODULE_NAME].summaryApiKey);
+    $('#chat_compressor_summary_model').val(extension_settings[MODULE_NAME].summaryModel);
+    $('#chat_compressor_summary_max_tokens').val(extension_settings[MODULE_NAME].summaryMaxTokens);
+    $('#chat_compressor_summary_temperature').val(extension_settings[MODULE_NAME].summaryTemperature);
+    $('#chat_compressor_summary_chunk_tokens').val(extension_settings[MODULE_NAME].summaryChunkTokens);
+    $('#chat_compressor_summary_chunk_carry').prop('checked', extension_settings[MODULE_NAME].summaryChunkCarry);
+    $('#chat_compressor_post_process_preset').val(extension_settings[MODULE_NAME].postProcessPreset);
+    $('#chat_compressor_post_process_rules').val(extension_settings[MODULE_NAME].postProcessRules);
+    $('#chat_compressor_summary_retries').val(extension_settings[MODULE_NAME].summaryRetries);
+    $('#chat_compressor_summary_strict_prompt').val(extension_settings[MODULE_NAME].summaryStrictPrompt);
+    $('#chat_compressor_summary_preview').prop('checked', extension_settings[MODULE_NAME].summaryPreview);
+    updateSummarySourceBlocks();
+    $('#chat_compressor_chunk_size').val(extension_settings[MODULE_NAME].chunkSize);
+    $('#chat_compressor_chunk_overlap').val(extension_settings[MODULE_NAME].chunkOverlap);
+    $('#chat_compressor_embedding_batch_size').val(extension_settings[MODULE_NAME].embeddingBatchSize);
+    $('#chat_compressor_embedding_concurrency').val(extension_settings[MODULE_NAME].embeddingConcurrency);
+    $('#chat_compressor_embedding_retries').val(extension_settings[MODULE_NAME].embeddingMaxRetries);
+    $('#chat_compressor_vector_quantization').val(extension_settings[MODULE_NAME].vectorQuantization);
+    $('#chat_compressor_ann_threshold').val(extension_settings[MODULE_NAME].annThreshold);
+    $('#chat_compressor_ann_probes').val(extension_settings[MODULE_NAME].annProbes);
     $('#chat_compressor_keep_recent').val(extension_settings[MODULE_NAME].keepRecentMessages);
     $('#chat_compressor_summary_words').val(extension_settings[MODULE_NAME].summaryMaxWords);
     $('#chat_compressor_max_total_summary').val(extension_settings[MODULE_NAME].maxTotalSummaryLength);
     $('#chat_compressor_retrieve_count').val(extension_settings[MODULE_NAME].retrieveCount);
     $('#chat_compressor_threshold').val(extension_settings[MODULE_NAME].similarityThreshold);
     $('#chat_compressor_threshold_value').text(extension_settings[MODULE_NAME].similarityThreshold);
+    $('#chat_compressor_hybrid_weight').val(extension_settings[MODULE_NAME].hybridWeight);
+    $('#chat_compressor_hybrid_weight_value').text(extension_settings[MODULE_NAME].hybridWeight);
+    $('#chat_compressor_importance_weight').val(extension_settings[MODULE_NAME].importanceWeight);
+    $('#chat_compressor_recency_weight').val(extension_settings[MODULE_NAME].recencyWeight);
+    $('#chat_compressor_recency_half_life').val(extension_settings[MODULE_NAME].recencyHalfLife);
+    $('#chat_compressor_mmr_diversity').val(extension_settings[MODULE_NAME].mmrDiversity);
+    $('#chat_compressor_mmr_diversity_value').text(extension_settings[MODULE_NAME].mmrDiversity);
+    $('#chat_compressor_rate_importance').prop('checked', extension_settings[MODULE_NAME].rateImportance);
+    $('#chat_compressor_importance_prompt').val(extension_settings[MODULE_NAME].importancePrompt);
+    $('#chat_compressor_token_budget_mode').prop('checked', extension_settings[MODULE_NAME].tokenBudgetMode);
+    $('#chat_compressor_total_token_budget').val(extension_settings[MODULE_NAME].totalTokenBudget);
+    $('#chat_compressor_context_expansion').val(extension_settings[MODULE_NAME].contextExpansion);
+    $('#chat_compressor_retrieved_budget').val(extension_settings[MODULE_NAME].retrievedTokenBudget);
+    $('#chat_compressor_query_messages').val(extension_settings[MODULE_NAME].queryMessageCount);
+    $('#chat_compressor_query_decay').val(extension_settings[MODULE_NAME].queryRecencyDecay);
+    $('#chat_compressor_query_decay_value').text(extension_settings[MODULE_NAME].queryRecencyDecay);
+    $('#chat_compressor_query_include_char').prop('checked', extension_settings[MODULE_NAME].queryIncludeCharacter);
+    $('#chat_compressor_query_rewrite').prop('checked', extension_settings[MODULE_NAME].queryRewrite);
+    $('#chat_compressor_query_rewrite_prompt').val(extension_settings[MODULE_NAME].queryRewritePrompt);
+    $('#chat_compressor_memory_bank').prop('checked', extension_settings[MODULE_NAME].memoryBank);
+    $('#chat_compressor_memory_bank_count').val(extension_settings[MODULE_NAME].memoryBankCount);
+    $('#chat_compressor_group_summary').prop('checked', extension_settings[MODULE_NAME].groupSummaryByCharacter);
+    $('#chat_compressor_group_summary_prompt').val(extension_settings[MODULE_NAME].groupSummaryPrompt);
+    $('#chat_compressor_group_boost').val(extension_settings[MODULE_NAME].groupSpeakerBoost);
+    $('#chat_compressor_group_witnessed').prop('checked', extension_settings[MODULE_NAME].groupWitnessedOnly);
+    $('#chat_compressor_group_witness_window').val(extension_settings[MODULE_NAME].groupWitnessWindow);
+    $('#chat_compressor_extract_memory').prop('checked', extension_settings[MODULE_NAME].extractMemory);
+    $('#chat_compressor_memory_prompt').val(extension_settings[MODULE_NAME].memoryPrompt);
     $('#chat_compressor_skip_vectorize').prop('checked', extension_settings[MODULE_NAME].skipVectorize);
     $('#chat_compressor_position').val(extension_settings[MODULE_NAME].position);
     $('#chat_compressor_depth').val(extension_settings[MODULE_NAME].depth);
     $('#chat_compressor_hide_compressed').prop('checked', extension_settings[MODULE_NAME].hideCompressedMessages);
+    $('#chat_compressor_gap_action').val(extension_settings[MODULE_NAME].gapAction);
     $('#chat_compressor_summary_prompt').val(extension_settings[MODULE_NAME].summaryPrompt);
     $('#chat_compressor_injection_template').val(extension_settings[MODULE_NAME].injectionTemplate);
     $('#chat_compressor_show_retrieved').prop('checked', extension_settings[MODULE_NAME].showRetrieved);
+    $('#chat_compressor_auto_compress').prop('checked', extension_settings[MODULE_NAME].autoCompress);
+    $('#chat_compressor_auto_messages').val(extension_settings[MODULE_NAME].autoCompressMessages);
+    $('#chat_compressor_auto_tokens').val(extension_settings[MODULE_NAME].autoCompressTokens);
 
     // 根据设置显示/隐藏检索结果区域
     if (extension_settings[MODULE_NAME].showRetrieved) {
@@ -95,6 +239,45 @@ function loadSettings() {
     updateStatusDisplay();
 }
 
+/**
+ * Show only the settings block of the selected embedding provider
+ */
+function updateProviderBlocks() {
+    const selected = extension_settings[MODULE_NAME].embeddingProvider;
+    $('.chat_compressor_provider_block').each(function() {
+        $(this).toggle($(this).data('provider') === selected);
+    });
+}
+
+/**
+ * Show only the settings blocks of the selected summary connection
+ */
+function updateSummarySourceBlocks() {
+    const selected = extension_settings[MODULE_NAME].summarySource;
+    $('.chat_compressor_summary_source_block').each(function() {
+        $(this).toggle(String($(this).data('source')).split(' ').includes(selected));
+    });
+}
+
+/**
+ * Fill the connection profile dropdown from the Connection Manager profiles
+ */
+function populateSummaryProfiles() {
+    const select = $('#chat_compressor_summary_profile');
+    const selectedId = extension_settings[MODULE_NAME].summaryProfileId;
+    const profiles = extension_settings.connectionManager?.profiles || [];
+
+    select.empty().append($('<option>').val('').text('-- 选择连接配置 --'));
+    for (const profile of profiles) {
+        select.append($('<option>').val(profile.id).text(profile.name));
+    }
+
+    if (selectedId && !profiles.some(p => p.id === selectedId)) {
+        select.append($('<option>').val(selectedId).text('(已删除的连接配置)'));
+    }
+    select.val(selectedId);
+}
+
 /**
  * Get the unique collection ID for the current chat
  * @returns {string|null} Collection ID or null if no chat is active
@@ -103,17 +286,179 @@ function getCollectionId() {
     const chatId = getCurrentChatId();
     if (!chatId) return null;
 
-    const prefix = selected_group ? `group_${selected_group}` : `chat_${chatId}`;
+    // 群聊也带上聊天 ID，同一群组的不同聊天各自独立。
+    // 已保存的数据按 vectorStore.id 读取，ID 规则变化后由 syncVectorStore 复制到新 ID，无需重新向量化
+    const prefix = selected_group ? `group_${selected_group}_${chatId}` : `chat_${chatId}`;
     return `compressor_${getStringHash(prefix)}`;
 }
 
+const VECTOR_DB_NAME = 'chat_compressor';
+const VECTOR_STORE_NAME = 'vectors';
+let vectorDbPromise = null;
+let vectorCache = { id: null, vectors: null };
+
+/**
+ * Open the IndexedDB database that holds the vectors of all chats
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openVectorDb() {
+    if (!vectorDbPromise) {
+        vectorDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(VECTOR_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(VECTOR_STORE_NAME, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            vectorDbPromise = null;
+            throw error;
+        });
+    }
+    return vectorDbPromise;
+}
+
+/**
+ * Run a request on the vector object store and wait for its transaction to complete
+ * @param {IDBTransactionMode} mode Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest Creates the request
+ * @returns {Promise<any>} Request result
+ */
+async function runVectorStoreRequest(mode, makeRequest) {
+    const db = await openVectorDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(VECTOR_STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(VECTOR_STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Number of stored vector items of the compression data
+ * @param {object} data Compression data
+ * @returns {number} Vector count
+ */
+function getVectorCount(data) {
+    return data?.vectorStore?.count ?? data?.vectors?.length ?? 0;
+}
+
+/**
+ * Load the vector items of the compression data. Chats that still carry inline vectors
+ * (not yet migrated, or IndexedDB unavailable) return those.
+ * @param {object} data Compression data
+ * @returns {Promise<Array>} Vector items {text, vector, space, index, offset}
+ */
+async function loadVectors(data) {
+    if (Array.isArray(data?.vectors)) return data.vectors;
+
+    const id = data?.vectorStore?.id;
+    if (!id) return [];
+    if (vectorCache.id === id) return vectorCache.vectors;
+
+    const record = await runVectorStoreRequest('readonly', store => store.get(id));
+    if (!record && data.vectorStore.count > 0) {
+        console.warn(`[Chat Compressor] 本地向量库中找不到 ${id}，可能浏览器数据已被清除，需要清除数据后重新压缩`);
+    }
+
+    const vectors = record?.vectors || [];
+    vectorCache = { id: id, vectors: vectors };
+    return vectors;
+}
+
+/**
+ * Save vector items to IndexedDB under the current chat's collection ID and keep only a
+ * reference in the compression data. Vectors are normalized and encoded with the selected quantization. Falls back to inline storage if IndexedDB is unavailable.
+ * @param {object} data Compression data (modified in place, not saved)
+ * @param {Array} vectors All vector items of the chat
+ * @returns {Promise<object>} The compression data
+ */
+async function storeVectors(data, vectors) {
+    const id = getCollectionId();
+    const encoding = extension_settings[MODULE_NAME].vectorQuantization;
+    const encoded = vectors.map(item => encodeVectorItem(item, encoding));
+
+    try {
+        await runVectorStoreRequest('readwrite', store => store.put({ id: id, vectors: encoded, timestamp: Date.now() }));
+        vectorCache = { id: id, vectors: encoded };
+        delete data.vectors;
+        data.vectorStore = { type: 'indexeddb', id: id, count: encoded.length, encoding: encoding, version: Date.now() };
+    } catch (error) {
+        console.error('[Chat Compressor] 写入本地向量库失败，改为保存在聊天元数据中:', error);
+        // 元数据以 JSON 保存，类型化数组需转为普通数组
+        data.vectors = encoded.map(item => ({ ...item, vector: Array.from(item.vector) }));
+        delete data.vectorStore;
+    }
+
+    return data;
+}
+
+/**
+ * Delete the stored vectors of the compression data
+ * @param {object} data Compression data
+ */
+async function deleteVectors(data) {
+    const id = data?.vectorStore?.id;
+    if (!id) return;
+
+    if (vectorCache.id === id) {
+        vectorCache = { id: null, vectors: null };
+    }
+
+    if (annState.key?.startsWith(`${id}:`)) {
+        annState = { key: null, index: null, building: null };
+    }
+
+    try {
+        await runVectorStoreRequest('readwrite', store => store.delete(id));
+        await runVectorStoreRequest('readwrite', store => store.delete(`${id}:ivf`));
+    } catch (error) {
+        console.error('[Chat Compressor] 删除本地向量失败:', error);
+    }
+}
+
+/**
+ * Move inline vectors of older chats into IndexedDB, and give copied or branched chats their
+ * own copy of the vectors so the two chats no longer share (and overwrite) one collection.
+ */
+async function syncVectorStore() {
+    const data = getCompressionData();
+    const id = getCollectionId();
+    if (!data || !id) return;
+
+    try {
+        if (Array.isArray(data.vectors) && data.vectors.length > 0) {
+            const vectors = data.vectors;
+            // 关键词索引的文档原先取自向量文本，迁移前先单独保存
+            data.passages = data.passages || vectors.map(v => ({ text: v.text, index: v.index, offset: v.offset || 0 }));
+            await storeVectors(data, vectors);
+            if (data.vectorStore) {
+                setCompressionData(data);
+                console.log(`[Chat Compressor] 已将 ${vectors.length} 条向量从聊天元数据迁移到本地向量库`);
+            }
+        } else if (data.vectorStore?.id && data.vectorStore.id !== id) {
+            const vectors = await loadVectors(data);
+            if (getCollectionId() !== id) return;  // 加载期间已切换聊天
+            await storeVectors(data, vectors);
+            setCompressionData(data);
+            console.log(`[Chat Compressor] 聊天 ID 已变化，已为当前聊天复制 ${vectors.length} 条向量`);
+        }
+    } catch (error) {
+        console.error('[Chat Compressor] 同步本地向量库失败:', error);
+    }
+}
+
 /**
  * Get compression data from chat metadata
  * @returns {object|null} Compression data or null
  */
 function getCompressionData() {
     if (!chat_metadata) return null;
-    return chat_metadata[MODULE_NAME] || null;
+
+    const data = chat_metadata[MODULE_NAME] || null;
+    if (migrateCompressionData(data)) {
+        saveMetadataDebounced();
+    }
+    return data;
 }
 
 /**
@@ -124,6 +469,106 @@ function setCompressionData(data) {
     if (!chat_metadata) return;
     chat_metadata[MODULE_NAME] = data;
     saveMetadataDebounced();
+    updateMemoryBankDebounced();
+}
+
+// 摘要段之间的分隔符
+const SEGMENT_SEPARATOR = '\n---\n';
+
+/**
+ * Create a summary segment covering a range of chat messages
+ * @param {number} start First chat index (inclusive)
+ * @param {number} end Last chat index (exclusive)
+ * @param {string} summary Segment summary
+ * @param {Array} [children] Finer segments this one was rolled up from
+ * @returns {object} Segment {id, level, start, end, summary, children, timestamp}
+ */
+function createSegment(start, end, summary, children = []) {
+    return {
+        id: uuidv4(),
+        level: children.length > 0 ? Math.max(...children.map(c => c.level)) + 1 : 0,
+        start: start,
+        end: end,
+        summary: summary,
+        children: children,
+        timestamp: Date.now(),
+    };
+}
+
+/**
+ * Join segment summaries into one summary text
+ * @param {Array} segments Segments in chronological order
+ * @returns {string} Summary text
+ */
+function joinSegments(segments) {
+    return segments.map(s => s.summary).join(SEGMENT_SEPARATOR);
+}
+
+/**
+ * Migrate compression data from the flat summary string to the segment tree.
+ * The existing summary becomes a single segment covering everything compressed so far.
+ * @param {object} data Compression data (modified in place)
+ * @returns {boolean} Whether the data was migrated
+ */
+function migrateCompressionData(data) {
+    if (!data || Array.isArray(data.segments) || !data.summary) return false;
+
+    const segment = createSegment(0, data.compressedUntilIndex || 0, data.summary);
+    segment.timestamp = data.timestamp || Date.now();
+    data.segments = [segment];
+    console.log('[Chat Compressor] 已将旧版摘要迁移为分段结构');
+    return true;
+}
+
+/**
+ * Pick the most detailed combination of segments whose summary fits the budget.
+ * Starts from the top-level segments and expands rolled-up segments into their children,
+ * newest first, while the result still fits. If even the top level is too long, the oldest
+ * top-level segments are dropped.
+ * @param {Array} segments Top-level segments
+ * @param {number} budget Budget in the unit of measure()
+ * @param {function(string): (number|Promise<number>)} measure Length of a text (characters or tokens)
+ * @returns {Promise<string>} Summary text
+ */
+async function selectSummaryDetail(segments, budget, measure) {
+    const sizes = new Map();
+    const separatorSize = await measure(SEGMENT_SEPARATOR);
+    const sizeOf = async (segment) => {
+        if (!sizes.has(segment)) sizes.set(segment, await measure(segment.summary));
+        return sizes.get(segment);
+    };
+    const totalOf = async (list) => {
+        let total = Math.max(0, list.length - 1) * separatorSize;
+        for (const segment of list) total += await sizeOf(segment);
+        return total;
+    };
+
+    let selected = [...segments];
+
+    while (selected.length > 1 && await totalOf(selected) > budget) {
+        selected.shift();
+    }
+
+    let total = await totalOf(selected);
+    let expanded = true;
+    while (expanded) {
+        expanded = false;
+        for (let i = selected.length - 1; i >= 0; i--) {
+            const segment = selected[i];
+            if (!segment.children?.length) continue;
+
+            const childrenSize = await totalOf(segment.children);
+            const delta = childrenSize - await sizeOf(segment);
+            if (total + delta <= budget) {
+                selected.splice(i, 1, ...segment.children);
+                total += delta;
+                expanded = true;
+                break;
+            }
+        }
+    }
+
+    return joinSegments(selected);
 }
 
 /**
@@ -140,599 +585,4141 @@ function updateStatusDisplay() {
     } else {
         const compressedCount = data.compressedMessageCount || 0;
         const timestamp = data.timestamp ? new Date(data.timestamp).toLocaleString() : '未知';
-        const hasVectors = data.vectors && data.vectors.length > 0 ? '是' : '否';
-        const vectorCount = data.vectors ? data.vectors.length : 0;
-        statusElement.html(`已压缩 <b>${compressedCount}</b> 条消息<br>向量化: ${hasVectors} (${vectorCount}条)<br>更新时间: ${timestamp}`);
+        const vectorCount = getVectorCount(data);
+        const hasVectors = vectorCount > 0 ? '是' : '否';
+        const pendingCount = data.pendingVectorIndices?.length || 0;
+        const pendingInfo = pendingCount > 0 ? `，${pendingCount}条待重试` : '';
+        const segmentCount = data.segments?.length || 0;
+        const levelCount = segmentCount ? Math.max(...data.segments.map(s => s.level)) + 1 : 0;
+        const staleCount = (data.segments || []).filter(s => s.stale).length;
+        const staleInfo = staleCount > 0 ? `，${staleCount}段需更新` : '';
+        statusElement.html(`已压缩 <b>${compressedCount}</b> 条消息<br>摘要: ${segmentCount}段 (${levelCount}层${staleInfo})<br>向量化: ${hasVectors} (${vectorCount}条${pendingInfo})<br>更新时间: ${timestamp}`);
         summaryElement.val(data.summary);
     }
-}
 
-/**
- * Call Google AI Embedding API directly
- * @param {string} text Text to embed
- * @returns {Promise<number[]>} Embedding vector
- */
-async function getGoogleEmbedding(text) {
-    const apiKey = extension_settings[MODULE_NAME].googleApiKey;
+    renderSegmentList();
+    renderMemoryTable();
+    renderPinList();
 
-    if (!apiKey) {
-        throw new Error('请先设置 Google AI API Key');
+    const progressCount = data?.summaryProgress?.segments?.length || 0;
+    if (progressCount > 0) {
+        statusElement.append('<br>', $('<i>').text(`分块摘要已完成 ${progressCount} 块，下次压缩从断点继续`));
     }
 
-    const response = await fetch(`${GOOGLE_EMBEDDING_API}?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            content: {
-                parts: [{ text: text }]
-            }
-        }),
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('[Chat Compressor] Google Embedding API 错误:', response.status, errorText);
-        throw new Error(`Embedding API 错误 (${response.status}): ${errorText}`);
+    if (budgetBreakdown && extension_settings[MODULE_NAME].tokenBudgetMode) {
+        const b = budgetBreakdown;
+        const total = b.summary + b.retrieved + b.recent + b.template + b.memory;
+        const memoryInfo = b.memory ? ` + 设定与置顶 ${b.memory}` : '';
+        const overInfo = total > b.budget ? '（最近消息不裁剪，已超出预算）' : '';
+        statusElement.append('<br>', $('<span>').text(`Token 预算: 摘要 ${b.summary} + 检索 ${b.retrieved}${memoryInfo} + 最近消息 ${b.recent} + 模板 ${b.template} = ${total} / ${b.budget}${overInfo}`));
     }
 
-    const result = await response.json();
-    return result.embedding.values;
+    if (statusNote) {
+        statusElement.append('<br>', $('<i>').text(statusNote));
+    }
 }
 
 /**
- * Calculate cosine similarity between two vectors
- * @param {number[]} a First vector
- * @param {number[]} b Second vector
- * @returns {number} Similarity score (0-1)
+ * Record the token allocation of the last injection and show it in the status panel
+ * @param {{budget: number, summary: number, retrieved: number, recent: number, template: number, memory: number}|null} breakdown Token counts
  */
-function cosineSimilarity(a, b) {
-    if (!a || !b || a.length !== b.length) return 0;
-
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-
-    for (let i = 0; i < a.length; i++) {
-        dotProduct += a[i] * b[i];
-        normA += a[i] * a[i];
-        normB += b[i] * b[i];
-    }
-
-    if (normA === 0 || normB === 0) return 0;
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+function setBudgetBreakdown(breakdown) {
+    budgetBreakdown = breakdown;
+    updateStatusDisplay();
 }
 
 /**
- * Compress the chat history (incremental)
+ * Set a transient note shown in the status panel (used by background compression)
+ * @param {string} note Note text, empty to clear
  */
-async function compressChat() {
-    const context = getContext();
-    const chat = context.chat;
+function setStatusNote(note) {
+    statusNote = note;
+    updateStatusDisplay();
+}
 
-    if (!chat || chat.length === 0) {
-        toastr.warning('没有可压缩的聊天记录');
-        return;
+/**
+ * Show a progress message: a sticky toast for manual runs, the status panel for background runs
+ * @param {string} message Progress text
+ * @param {boolean} background Whether this is a background run
+ * @returns {object|null} Toast handle for clearProgress()
+ */
+function showProgress(message, background) {
+    if (background) {
+        setStatusNote(message);
+        return null;
     }
+    return toastr.info(message, '请稍候', { timeOut: 0, extendedTimeOut: 0 });
+}
 
-    const keepRecent = extension_settings[MODULE_NAME].keepRecentMessages;
+/**
+ * Clear a progress toast created by showProgress()
+ * @param {object|null} toast Toast handle
+ */
+function clearProgress(toast) {
+    // toastr.clear() 不带参数会清除所有 toast
+    if (toast) toastr.clear(toast);
+}
 
-    if (chat.length <= keepRecent) {
-        toastr.info(`聊天只有 ${chat.length} 条消息，需要超过 ${keepRecent} 条才能压缩`);
+/**
+ * Report a result: a toast for manual runs, the status panel for background runs
+ * @param {'success'|'info'|'warning'|'error'} level Toast level
+ * @param {string} message Message text
+ * @param {boolean} background Whether this is a background run
+ * @param {string} [title] Optional toast title
+ */
+function notify(level, message, background, title) {
+    if (background) {
+        console.log(`[Chat Compressor] 自动压缩: ${message}`);
+        setStatusNote(message);
         return;
     }
+    toastr[level](message, title);
+}
 
-    // 获取已有的压缩数据
-    const existingData = getCompressionData() || {};
-    const previouslyCompressedIndex = existingData.compressedUntilIndex || 0;
+/**
+ * Read an error response and throw a descriptive Error
+ * @param {Response} response Failed fetch response
+ * @param {string} providerName Provider display name for logging
+ */
+async function throwEmbeddingError(response, providerName) {
+    const errorText = await response.text();
+    console.error(`[Chat Compressor] ${providerName} Embedding API 错误:`, response.status, errorText);
+    const error = new Error(`Embedding API 错误 (${response.status}): ${errorText}`);
+    error.status = response.status;
+    throw error;
+}
 
-    // 计算需要压缩的消息范围
-    const toCompressEndIndex = chat.length - keepRecent;
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url Base URL
+ * @returns {string} Normalized URL
+ */
+function trimBaseUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+}
 
-    // 检查是否有新消息需要压缩
-    if (toCompressEndIndex <= previouslyCompressedIndex) {
-        toastr.info('没有新的消息需要压缩');
-        return;
-    }
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    // Show progress
-    const toast = toastr.info('正在压缩聊天记录...', '请稍候', { timeOut: 0, extendedTimeOut: 0 });
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
 
-    try {
-        // 只获取新增的消息（增量压缩）
-        const newMessages = chat.slice(previouslyCompressedIndex, toCompressEndIndex);
-        const filteredNewMessages = newMessages.filter(m => !m.is_system && m.mes);
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
 
-        if (filteredNewMessages.length === 0) {
-            toastr.clear(toast);
-            toastr.warning('过滤后没有新消息需要压缩');
-            return;
-        }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-        const isIncremental = previouslyCompressedIndex > 0;
-        console.log(`[Chat Compressor] ${isIncremental ? '增量' : '首次'}压缩: ${filteredNewMessages.length} 条新消息 (索引 ${previouslyCompressedIndex} - ${toCompressEndIndex})`);
+/**
+ * fetch() for embedding APIs with retries on rate limits (429), server errors and network failures.
+ * Honors Retry-After, otherwise uses exponential backoff with jitter.
+ * @param {string} url Request URL
+ * @param {object} options fetch options
+ * @param {string} providerName Provider display name for logging
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchEmbedding(url, options, providerName) {
+    const maxRetries = extension_settings[MODULE_NAME].embeddingMaxRetries;
 
-        // Step 1: Generate summary for new messages
-        toastr.clear(toast);
-        const summaryToast = toastr.info(
-            isIncremental ? '正在生成增量摘要...' : '正在生成摘要...',
-            '请稍候',
-            { timeOut: 0, extendedTimeOut: 0 }
-        );
+    for (let attempt = 0; ; attempt++) {
+        const backoff = Math.min(60000, 1000 * 2 ** attempt) + Math.random() * 500;
+        let response;
 
-        let newSummary;
         try {
-            newSummary = await generateSummary(filteredNewMessages);
-        } catch (summaryError) {
-            toastr.clear(summaryToast);
-            console.error('[Chat Compressor] 摘要生成异常:', summaryError);
-            toastr.error(`摘要生成失败: ${summaryError.message || '未知错误'}`, '请检查控制台');
-            return;
+            response = await fetch(url, options);
+        } catch (error) {
+            if (attempt >= maxRetries) throw error;
+            console.warn(`[Chat Compressor] ${providerName} 网络错误，${Math.round(backoff)}ms 后重试:`, error);
+            await sleep(backoff);
+            continue;
         }
 
-        toastr.clear(summaryToast);
-
-        if (!newSummary) {
-            toastr.error('摘要生成失败，API返回空结果');
-            return;
-        }
+        if (response.ok) return response;
 
-        // Step 2: Merge summaries
-        let totalSummary;
-        if (isIncremental && existingData.summary) {
-            // 拼接旧摘要和新摘要
-            totalSummary = existingData.summary + '\n---\n' + newSummary;
-            console.log(`[Chat Compressor] 合并摘要: 旧${existingData.summary.length}字 + 新${newSummary.length}字 = ${totalSummary.length}字`);
-        } else {
-            totalSummary = newSummary;
+        const retryable = response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= maxRetries) {
+            await throwEmbeddingError(response, providerName);
         }
 
-        // Step 3: Check if total summary exceeds limit
-        const maxLength = extension_settings[MODULE_NAME].maxTotalSummaryLength;
-        if (totalSummary.length > maxLength) {
-            console.log(`[Chat Compressor] 总摘要 ${totalSummary.length} 字超过阈值 ${maxLength}，正在压缩总摘要...`);
-            const compressSummaryToast = toastr.info('总摘要过长，正在压缩...', '请稍候', { timeOut: 0, extendedTimeOut: 0 });
+        const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? backoff;
+        console.warn(`[Chat Compressor] ${providerName} 返回 ${response.status}，${Math.round(delay)}ms 后重试 (${attempt + 1}/${maxRetries})`);
+        await sleep(delay);
+    }
+}
 
-            try {
-                totalSummary = await compressTotalSummary(totalSummary, maxLength);
-                toastr.clear(compressSummaryToast);
-                console.log(`[Chat Compressor] 总摘要已压缩至 ${totalSummary.length} 字`);
-            } catch (error) {
-                toastr.clear(compressSummaryToast);
-                console.error('[Chat Compressor] 压缩总摘要失败:', error);
-                toastr.warning('压缩总摘要失败，保留原摘要');
+/**
+ * Embedding providers. Each provider exposes:
+ * - name: display name
+ * - maxBatchSize: max texts per request
+ * - getModel(settings): model name used for the embedding space key
+ * - getMissingConfig(settings): error message if not configured, otherwise null
+ * - embedBatch(texts, settings): Promise<number[][]> in input order
+ */
+const embeddingProviders = {
+    google: {
+        name: 'Google AI',
+        maxBatchSize: 100,
+        getModel: settings => settings.googleEmbeddingModel || 'text-embedding-004',
+        getMissingConfig: settings => settings.googleApiKey ? null : '请先设置 Google AI API Key',
+        async embedBatch(texts, settings) {
+            const model = this.getModel(settings);
+            const response = await fetchEmbedding(`${GOOGLE_API_BASE}/models/${model}:batchEmbedContents`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': settings.googleApiKey,
+                },
+                body: JSON.stringify({
+                    requests: texts.map(text => ({
+                        model: `models/${model}`,
+                        content: {
+                            parts: [{ text: text }]
+                        }
+                    })),
+                }),
+            }, this.name);
+
+            const result = await response.json();
+            return result.embeddings.map(e => e.values);
+        },
+    },
+    openai: {
+        name: 'OpenAI 兼容',
+        maxBatchSize: 2048,
+        getModel: settings => settings.openaiEmbeddingModel,
+        getMissingConfig: settings => {
+            if (!settings.openaiBaseUrl) return '请先设置 OpenAI 兼容接口地址';
+            if (!settings.openaiEmbeddingModel) return '请先设置 Embedding 模型名称';
+            return null;
+        },
+        async embedBatch(texts, settings) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.openaiApiKey) {
+                headers.Authorization = `Bearer ${settings.openaiApiKey}`;
             }
-        }
 
-        // Step 4: Vectorize new messages (if not skipped)
-        let newVectors = [];
-        if (!extension_settings[MODULE_NAME].skipVectorize) {
-            const apiKey = extension_settings[MODULE_NAME].googleApiKey;
-            if (!apiKey) {
-                toastr.warning('未设置 Google AI API Key，跳过向量化');
-            } else {
-                console.log(`[Chat Compressor] 正在向量化 ${filteredNewMessages.length} 条新消息`);
-                const vectorToast = toastr.info('正在向量化新消息...', '0%', { timeOut: 0, extendedTimeOut: 0 });
-
-                try {
-                    // 向量化时添加偏移量，确保索引正确
-                    newVectors = await vectorizeMessages(filteredNewMessages, (progress) => {
-                        $('.toast-message').text(`${progress}%`);
-                    }, previouslyCompressedIndex);
-                    toastr.clear(vectorToast);
-                } catch (vectorError) {
-                    toastr.clear(vectorToast);
-                    console.error('[Chat Compressor] 向量化失败:', vectorError);
-                    toastr.warning(`向量化失败: ${vectorError.message}`);
-                }
+            const response = await fetchEmbedding(`${trimBaseUrl(settings.openaiBaseUrl)}/embeddings`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    model: settings.openaiEmbeddingModel,
+                    input: texts,
+                }),
+            }, this.name);
+
+            const result = await response.json();
+            // 按 index 排序，部分兼容实现不保证返回顺序
+            return [...result.data]
+                .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+                .map(d => d.embedding);
+        },
+    },
+    ollama: {
+        name: 'Ollama',
+        // /api/embeddings 每次只接受一条文本，靠并发提速
+        maxBatchSize: 1,
+        getModel: settings => settings.ollamaEmbeddingModel,
+        getMissingConfig: settings => {
+            if (!settings.ollamaBaseUrl) return '请先设置 Ollama 地址';
+            if (!settings.ollamaEmbeddingModel) return '请先设置 Embedding 模型名称';
+            return null;
+        },
+        async embedBatch(texts, settings) {
+            const vectors = [];
+            for (const text of texts) {
+                const response = await fetchEmbedding(`${trimBaseUrl(settings.ollamaBaseUrl)}/api/embeddings`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        model: settings.ollamaEmbeddingModel,
+                        prompt: text,
+                    }),
+                }, this.name);
+
+                const result = await response.json();
+                vectors.push(result.embedding);
             }
-        }
+            return vectors;
+        },
+    },
+};
 
-        // 合并旧向量和新向量
-        const existingVectors = existingData.vectors || [];
-        const allVectors = [...existingVectors, ...newVectors];
+/**
+ * Get the key of the currently selected embedding provider
+ * @returns {string} Key in embeddingProviders
+ */
+function getEmbeddingProviderKey() {
+    const key = extension_settings[MODULE_NAME].embeddingProvider;
+    return embeddingProviders[key] ? key : 'google';
+}
 
-        // Step 5: Save compression data
-        const totalCompressedCount = (existingData.compressedMessageCount || 0) + filteredNewMessages.length;
+/**
+ * Get the currently selected embedding provider
+ * @returns {object} Provider from embeddingProviders
+ */
+function getEmbeddingProvider() {
+    return embeddingProviders[getEmbeddingProviderKey()];
+}
 
-        const compressionData = {
-            summary: totalSummary,
-            compressedMessageCount: totalCompressedCount,
-            compressedUntilIndex: toCompressEndIndex,
-            vectors: allVectors,
-            timestamp: Date.now(),
-        };
+/**
+ * Check whether the selected embedding provider is configured
+ * @returns {string|null} Error message if not configured, otherwise null
+ */
+function getEmbeddingConfigError() {
+    return getEmbeddingProvider().getMissingConfig(extension_settings[MODULE_NAME]);
+}
 
-        setCompressionData(compressionData);
-        updateStatusDisplay();
+/**
+ * Build the key that identifies an embedding space. Vectors are only comparable within the same space.
+ * @param {string} providerKey Provider key from embeddingProviders
+ * @param {string} model Model name
+ * @param {number} dimension Vector dimension
+ * @returns {string} Embedding space key
+ */
+function getEmbeddingSpace(providerKey, model, dimension) {
+    return `${providerKey}:${model}:${dimension}`;
+}
 
-        const vectorInfo = newVectors.length > 0 ? `，新增向量 ${newVectors.length} 条` : '';
-        const mode = isIncremental ? '增量压缩' : '压缩';
-        toastr.success(`${mode}完成: 新增 ${filteredNewMessages.length} 条，共 ${totalCompressedCount} 条${vectorInfo}`);
+/**
+ * Get the embedding space of a stored vector item.
+ * Vectors saved before providers existed were always produced by Google text-embedding-004.
+ * @param {object} item Stored vector item
+ * @returns {string} Embedding space key
+ */
+function getItemEmbeddingSpace(item) {
+    return item.space || getEmbeddingSpace('google', 'text-embedding-004', item.vector?.length || 0);
+}
 
-    } catch (error) {
-        console.error('[Chat Compressor] 压缩失败:', error);
-        toastr.error('压缩失败: ' + error.message);
+/**
+ * Embed a batch of texts with the selected provider (one request, no splitting)
+ * @param {string[]} texts Texts to embed
+ * @returns {Promise<{vectors: number[][], space: string}>} Embedding vectors in input order and their space key
+ */
+async function getEmbeddings(texts) {
+    const settings = extension_settings[MODULE_NAME];
+    const providerKey = getEmbeddingProviderKey();
+    const provider = embeddingProviders[providerKey];
+
+    const configError = provider.getMissingConfig(settings);
+    if (configError) {
+        throw new Error(configError);
     }
+
+    const vectors = await provider.embedBatch(texts, settings);
+    if (!Array.isArray(vectors) || vectors.length !== texts.length || vectors.some(v => !Array.isArray(v) || v.length === 0)) {
+        throw new Error(`${provider.name} 返回的向量数量或格式不正确`);
+    }
+
+    return {
+        vectors: vectors,
+        space: getEmbeddingSpace(providerKey, provider.getModel(settings), vectors[0].length),
+    };
 }
 
 /**
- * Compress the total summary when it exceeds the limit
- * @param {string} summary The total summary to compress
- * @param {number} targetLength Target length
- * @returns {Promise<string>} Compressed summary
+ * Embed text with the selected provider
+ * @param {string} text Text to embed
+ * @returns {Promise<{vector: number[], space: string}>} Embedding vector and its space key
  */
-async function compressTotalSummary(summary, targetLength) {
-    const prompt = `你是一个摘要压缩专家。请将以下摘要精简到${targetLength}字以内，保留最重要的信息：
+async function getEmbedding(text) {
+    const { vectors, space } = await getEmbeddings([text]);
+    return { vector: vectors[0], space: space };
+}
 
-要求：
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {number[]} a First vector
+ * @param {number[]} b Second vector
+ * @returns {number} Similarity score (0-1)
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dotProduct += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// float16 → float32 查找表，首次使用时生成
+let halfToFloatTable = null;
+
+/**
+ * Convert a float to IEEE 754 half precision bits
+ * @param {number} value Float value
+ * @returns {number} Half precision bits
+ */
+function floatToHalf(value) {
+    const floatView = new Float32Array([value]);
+    const bits = new Uint32Array(floatView.buffer)[0];
+    const sign = (bits >> 16) & 0x8000;
+    const exponent = ((bits >> 23) & 0xff) - 127 + 15;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent <= 0) {
+        // 非规格化数，归一化向量的分量不会大到溢出
+        if (exponent < -10) return sign;
+        return sign | ((mantissa | 0x800000) >> (1 - exponent + 13));
+    }
+    if (exponent >= 31) return sign | 0x7c00;
+    return sign | (exponent << 10) | (mantissa >> 13);
+}
+
+/**
+ * Get the lookup table from half precision bits to float
+ * @returns {Float32Array} Table indexed by half precision bits
+ */
+function getHalfToFloatTable() {
+    if (!halfToFloatTable) {
+        halfToFloatTable = new Float32Array(65536);
+        for (let bits = 0; bits < 65536; bits++) {
+            const sign = bits & 0x8000 ? -1 : 1;
+            const exponent = (bits >> 10) & 0x1f;
+            const mantissa = bits & 0x3ff;
+            halfToFloatTable[bits] = exponent === 0
+                ? sign * Math.pow(2, -14) * (mantissa / 1024)
+                : exponent === 31 ? sign * Infinity : sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+        }
+    }
+    return halfToFloatTable;
+}
+
+/**
+ * Decode the vector of a stored item to floats
+ * @param {object} item Vector item
+ * @returns {Float32Array|number[]} Vector
+ */
+function decodeVector(item) {
+    switch (item.encoding) {
+        case 'float16': {
+            const table = getHalfToFloatTable();
+            return Float32Array.from(item.vector, bits => table[bits]);
+        }
+        case 'int8':
+            return Float32Array.from(item.vector, q => q * item.scale);
+        default:
+            return item.vector;
+    }
+}
+
+/**
+ * Normalize a vector to unit length and store it with the given encoding.
+ * Items that already use the encoding are returned unchanged.
+ * @param {object} item Vector item {text, vector, space, index, offset}
+ * @param {string} encoding float32, float16 or int8
+ * @returns {object} Encoded item
+ */
+function encodeVectorItem(item, encoding) {
+    if (item.encoding === encoding) return item;
+
+    const values = decodeVector(item);
+    let norm = 0;
+    for (let i = 0; i < values.length; i++) norm += values[i] * values[i];
+    norm = Math.sqrt(norm) || 1;
+    const normalized = Float32Array.from(values, x => x / norm);
+
+    const { vector, scale, ...rest } = item;
+    switch (encoding) {
+        case 'float16':
+            return { ...rest, encoding: encoding, vector: Uint16Array.from(normalized, floatToHalf) };
+        case 'int8': {
+            const maxAbs = normalized.reduce((max, x) => Math.max(max, Math.abs(x)), 0) || 1;
+            const itemScale = maxAbs / 127;
+            return { ...rest, encoding: encoding, scale: itemScale, vector: Int8Array.from(normalized, x => Math.round(x / itemScale)) };
+        }
+        default:
+            return { ...rest, encoding: 'float32', vector: normalized };
+    }
+}
+
+/**
+ * Similarity between a unit query vector and a stored item. Encoded items are pre-normalized,
+ * so this is a plain dot product; legacy items fall back to cosine similarity.
+ * @param {Float32Array|number[]} query Unit query vector
+ * @param {object} item Vector item
+ * @returns {number} Similarity
+ */
+function scoreVectorItem(query, item) {
+    const vector = item.vector;
+    if (!vector || vector.length !== query.length) return 0;
+
+    let sum = 0;
+    switch (item.encoding) {
+        case 'float32':
+            for (let i = 0; i < vector.length; i++) sum += query[i] * vector[i];
+            return sum;
+        case 'float16': {
+            const table = getHalfToFloatTable();
+            for (let i = 0; i < vector.length; i++) sum += query[i] * table[vector[i]];
+            return sum;
+        }
+        case 'int8':
+            for (let i = 0; i < vector.length; i++) sum += query[i] * vector[i];
+            return sum * item.scale;
+        default:
+            return cosineSimilarity(query, vector);
+    }
+}
+
+/**
+ * Pick distinct random positions
+ * @param {number} total Number of positions to pick from
+ * @param {number} count Number of positions to pick
+ * @returns {number[]} Positions
+ */
+function samplePositions(total, count) {
+    const positions = range(0, total);
+    for (let i = 0; i < Math.min(count, total); i++) {
+        const j = i + Math.floor(Math.random() * (total - i));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    return positions.slice(0, count);
+}
+
+/**
+ * Find the centroid closest to a vector item
+ * @param {Float32Array[]} centroids Unit centroids
+ * @param {object} item Vector item
+ * @returns {number} Centroid position
+ */
+function findNearestCentroid(centroids, item) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < centroids.length; c++) {
+        const score = scoreVectorItem(centroids[c], item);
+        if (score > bestScore) {
+            bestScore = score;
+            best = c;
+        }
+    }
+    return best;
+}
+
+/**
+ * Build an IVF index: spherical k-means over a sample of the vectors, then every vector is
+ * assigned to the list of its nearest centroid. Yields to the UI between batches.
+ * @param {Array} vectors Vector items (all in one embedding space)
+ * @returns {Promise<{centroids: Float32Array[], lists: Int32Array[], count: number}>} Index
+ */
+async function buildIvfIndex(vectors) {
+    const listCount = Math.max(2, Math.round(Math.sqrt(vectors.length)));
+    const sample = samplePositions(vectors.length, Math.min(vectors.length, listCount * 40));
+    const dimension = vectors[0].vector.length;
+    let centroids = sample.slice(0, listCount).map(p => Float32Array.from(decodeVector(vectors[p])));
+
+    for (let iteration = 0; iteration < 5; iteration++) {
+        const sums = centroids.map(() => new Float32Array(dimension));
+        const counts = new Array(centroids.length).fill(0);
+
+        for (let s = 0; s < sample.length; s++) {
+            const item = vectors[sample[s]];
+            const nearest = findNearestCentroid(centroids, item);
+            const values = decodeVector(item);
+            for (let d = 0; d < dimension; d++) sums[nearest][d] += values[d];
+            counts[nearest]++;
+            if (s % 500 === 499) await sleep(0);
+        }
+
+        // 空簇重新取一个随机样本作为中心
+        centroids = sums.map((sum, c) => {
+            if (counts[c] === 0) return Float32Array.from(decodeVector(vectors[sample[Math.floor(Math.random() * sample.length)]]));
+            const norm = Math.sqrt(sum.reduce((total, x) => total + x * x, 0)) || 1;
+            return sum.map(x => x / norm);
+        });
+    }
+
+    const lists = centroids.map(() => []);
+    for (let p = 0; p < vectors.length; p++) {
+        lists[findNearestCentroid(centroids, vectors[p])].push(p);
+        if (p % 500 === 499) await sleep(0);
+    }
+
+    return { centroids: centroids, lists: lists.map(list => Int32Array.from(list)), count: vectors.length };
+}
+
+/**
+ * Candidate positions for a query: the lists of the closest centroids
+ * @param {object} index IVF index
+ * @param {Float32Array|number[]} query Unit query vector
+ * @param {number} probes Number of lists to search
+ * @returns {number[]} Positions into the indexed vectors
+ */
+function searchIvfIndex(index, query, probes) {
+    const ranked = index.centroids
+        .map((centroid, c) => ({ c: c, score: scoreVectorItem(query, { encoding: 'float32', vector: centroid }) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.max(1, probes));
+
+    const positions = [];
+    for (const { c } of ranked) {
+        positions.push(...index.lists[c]);
+    }
+    return positions;
+}
+
+let annState = { key: null, index: null, building: null };
+
+/**
+ * Get the IVF index of the current vectors if the collection exceeds the size threshold.
+ * A missing or outdated index is loaded from IndexedDB or rebuilt in the background; until it
+ * is ready, null is returned and retrieval scans all vectors.
+ * @param {object} data Compression data
+ * @param {Array} vectors Comparable vector items of one embedding space
+ * @param {string} space Embedding space key
+ * @returns {Promise<object|null>} Index or null
+ */
+async function getAnnIndex(data, vectors, space) {
+    const threshold = extension_settings[MODULE_NAME].annThreshold;
+    const storeInfo = data.vectorStore;
+    if (!(threshold > 0) || vectors.length < threshold || !storeInfo?.version) return null;
+
+    const key = `${storeInfo.id}:${storeInfo.version}:${space}:${vectors.length}`;
+    if (annState.key === key) return annState.index;
+
+    try {
+        const stored = await runVectorStoreRequest('readonly', store => store.get(`${storeInfo.id}:ivf`));
+        if (stored?.key === key) {
+            annState = { key: key, index: stored.index, building: null };
+            return stored.index;
+        }
+    } catch (error) {
+        console.warn('[Chat Compressor] 读取 ANN 索引失败:', error);
+    }
+
+    if (annState.building !== key) {
+        annState.building = key;
+        const startTime = performance.now();
+        buildIvfIndex(vectors)
+            .then(index => {
+                annState = { key: key, index: index, building: null };
+                console.log(`[Chat Compressor] ANN 索引已建立: ${vectors.length} 条向量, ${index.lists.length} 个簇, 用时 ${Math.round(performance.now() - startTime)}ms`);
+                return runVectorStoreRequest('readwrite', store => store.put({ id: `${storeInfo.id}:ivf`, key: key, index: index }));
+            })
+            .catch(error => {
+                annState.building = null;
+                console.error('[Chat Compressor] 建立 ANN 索引失败:', error);
+            });
+    }
+
+    return null;
+}
+
+/**
+ * Compare retrieval speed, recall and storage of the vector encodings and the IVF index.
+ * Uses the current chat's vectors if there are enough, otherwise synthetic clustered vectors.
+ * @returns {Promise<{source: string, results: Array<{name: string, bytes: number, queryMs: number, recall: number, buildMs?: number}>}>} Data source and results
+ */
+async function runVectorBenchmark() {
+    const topK = 10;
+    const queryCount = 20;
+    const stored = await loadVectors(getCompressionData());
+    let base;
+    let source;
+
+    if (stored.length >= 1000) {
+        base = stored.map(item => encodeVectorItem(item, 'float32'));
+        source = `当前聊天的 ${base.length} 条向量`;
+    } else {
+        // 合成带簇结构的数据，接近真实文本向量的分布
+        const count = 10000;
+        const dimension = 384;
+        const centers = range(0, 100).map(() => Float32Array.from({ length: dimension }, () => Math.random() * 2 - 1));
+        base = range(0, count).map(i => encodeVectorItem({
+            vector: Float32Array.from(centers[i % centers.length], x => x + (Math.random() * 2 - 1) * 0.6),
+        }, 'float32'));
+        source = `${count} 条合成向量 (${dimension} 维)`;
+    }
+
+    const queries = samplePositions(base.length, queryCount).map(p => decodeVector(encodeVectorItem({
+        vector: Float32Array.from(base[p].vector, x => x + (Math.random() * 2 - 1) * 0.02),
+    }, 'float32')));
+
+    const topPositions = (items, query, positions) => positions
+        .map(p => ({ p: p, score: scoreVectorItem(query, items[p]) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(hit => hit.p);
+
+    const allPositions = range(0, base.length);
+    const exact = queries.map(query => new Set(topPositions(base, query, allPositions)));
+    const measure = (items, getPositions) => {
+        const startTime = performance.now();
+        const results = queries.map(query => topPositions(items, query, getPositions(query)));
+        const queryMs = (performance.now() - startTime) / queries.length;
+        const recall = results.reduce((sum, hits, q) => sum + hits.filter(p => exact[q].has(p)).length, 0) / (queries.length * topK);
+        return { queryMs: queryMs, recall: recall };
+    };
+
+    const results = [];
+    const bytesPerValue = { float32: 4, float16: 2, int8: 1 };
+    const encoded = {};
+    for (const encoding of ['float32', 'float16', 'int8']) {
+        encoded[encoding] = encoding === 'float32' ? base : base.map(item => encodeVectorItem(item, encoding));
+        await sleep(0);
+        results.push({
+            name: `全量 ${encoding}`,
+            bytes: base[0].vector.length * bytesPerValue[encoding],
+            ...measure(encoded[encoding], () => allPositions),
+        });
+    }
+
+    const encoding = extension_settings[MODULE_NAME].vectorQuantization;
+    const buildStart = performance.now();
+    const index = await buildIvfIndex(encoded[encoding]);
+    const buildMs = performance.now() - buildStart;
+    results.push({
+        name: `IVF ${encoding} (${index.lists.length} 簇, 探测 ${extension_settings[MODULE_NAME].annProbes})`,
+        bytes: base[0].vector.length * bytesPerValue[encoding],
+        buildMs: buildMs,
+        ...measure(encoded[encoding], query => searchIvfIndex(index, query, extension_settings[MODULE_NAME].annProbes)),
+    });
+
+    return { source: source, results: results };
+}
+
+/**
+ * Compress the chat history (incremental)
+ * @param {object} [options] Options
+ * @param {boolean} [options.background=false] Background run: report progress in the status panel instead of toasts
+ * @param {number} [options.keepRecent] Recent messages to keep uncompressed in this run, defaults to the setting
+ * @param {number} [options.until] Last chat index that may be compressed in this run
+ * @returns {Promise<boolean>} Whether new messages were compressed
+ */
+async function compressChat({ background = false, keepRecent, until } = {}) {
+    if (isCompressing) {
+        if (!background) toastr.info('正在压缩中，请稍候');
+        return false;
+    }
+
+    isCompressing = true;
+    try {
+        return await runCompression(background, { keepRecent, until });
+    } finally {
+        isCompressing = false;
+    }
+}
+
+/**
+ * Run one incremental compression pass
+ * @param {boolean} background Whether this is a background run
+ * @param {{keepRecent?: number, until?: number}} [options] Overrides of the compressed range
+ * @returns {Promise<boolean>} Whether new messages were compressed
+ */
+async function runCompression(background, { keepRecent: keepRecentOverride, until } = {}) {
+    const context = getContext();
+    const chat = context.chat;
+    const chatId = getCurrentChatId();
+
+    if (!chat || chat.length === 0) {
+        notify('warning', '没有可压缩的聊天记录', background);
+        return false;
+    }
+
+    const keepRecent = Number.isFinite(keepRecentOverride) ? Math.max(0, keepRecentOverride) : extension_settings[MODULE_NAME].keepRecentMessages;
+
+    if (chat.length <= keepRecent) {
+        notify('info', `聊天只有 ${chat.length} 条消息，需要超过 ${keepRecent} 条才能压缩`, background);
+        return false;
+    }
+
+    // 获取已有的压缩数据
+    const existingData = getCompressionData() || {};
+    const previouslyCompressedIndex = existingData.compressedUntilIndex || 0;
+
+    // 计算需要压缩的消息范围
+    const toCompressEndIndex = Number.isFinite(until) ? Math.min(chat.length - keepRecent, until + 1) : chat.length - keepRecent;
+
+    // 检查是否有新消息需要压缩
+    if (toCompressEndIndex <= previouslyCompressedIndex) {
+        if (existingData.pendingVectorIndices?.length && !extension_settings[MODULE_NAME].skipVectorize) {
+            return await resumeVectorization(existingData, background, chatId);
+        }
+        notify('info', '没有新的消息需要压缩', background);
+        return false;
+    }
+
+    // Show progress
+    const toast = showProgress('正在压缩聊天记录...', background);
+
+    try {
+        // 只获取新增的消息（增量压缩），保留每条消息在聊天中的索引
+        const newEntries = getMessageEntries(chat, range(previouslyCompressedIndex, toCompressEndIndex));
+        const filteredNewMessages = newEntries.map(e => e.message);
+
+        if (filteredNewMessages.length === 0) {
+            clearProgress(toast);
+            notify('warning', '过滤后没有新消息需要压缩', background);
+            return false;
+        }
+
+        const isIncremental = previouslyCompressedIndex > 0;
+        console.log(`[Chat Compressor] ${isIncremental ? '增量' : '首次'}压缩: ${filteredNewMessages.length} 条新消息 (索引 ${previouslyCompressedIndex} - ${toCompressEndIndex})`);
+
+        // Step 1: Generate summaries for new messages, split into chunks that fit the summarizing model
+        clearProgress(toast);
+        const newSegments = await summarizeInChunks(newEntries, previouslyCompressedIndex, toCompressEndIndex, background, chatId);
+        if (!newSegments) {
+            return false;
+        }
+
+        // Step 2: Store each chunk summary as its own segment
+        const segments = [...(existingData.segments || []), ...newSegments];
+
+        // Step 3: Roll up the oldest segments if the total summary exceeds the limit
+        await rollUpSegments(segments, background);
+        const totalSummary = joinSegments(segments);
+
+        // 手动压缩时先预览新旧摘要的差异，放弃则不保存
+        if (!background && extension_settings[MODULE_NAME].summaryPreview) {
+            const accepted = await confirmSummaryChange(existingData.summary || '', totalSummary, '新摘要预览');
+            if (!isSameChat(chatId, background)) {
+                return false;
+            }
+            if (!accepted) {
+                setCompressionData({ ...getCompressionData(), summaryProgress: null });
+                updateStatusDisplay();
+                notify('info', '已放弃新摘要，压缩数据未改变', background);
+                return false;
+            }
+        }
+
+        // Step 3.5: Extract characters and facts, replacing contradicted entries
+        let memory = existingData.memory || [];
+        const memoryUpdates = [];
+        if (extension_settings[MODULE_NAME].extractMemory) {
+            const memoryToast = showProgress('正在提取人物与设定...', background);
+            try {
+                for (const chunk of await splitEntriesByTokens(newEntries, extension_settings[MODULE_NAME].summaryChunkTokens)) {
+                    const updates = await extractMemory(chunk.map(e => e.message), memory);
+                    memory = mergeMemory(memory, updates);
+                    memoryUpdates.push(...updates);
+                }
+            } catch (memoryError) {
+                console.error('[Chat Compressor] 记忆提取失败:', memoryError);
+                notify('warning', `记忆提取失败，保留原有记忆: ${memoryError.message || '未知错误'}`, background);
+            } finally {
+                clearProgress(memoryToast);
+            }
+        }
+
+        // Step 3.6: Rate message importance for retrieval ranking, keyed by message identity
+        const ratings = new Map();
+        if (extension_settings[MODULE_NAME].rateImportance) {
+            const ratingToast = showProgress('正在评估消息重要性...', background);
+            const keys = getMessageKeys(chat);
+            try {
+                for (const chunk of await splitEntriesByTokens(newEntries, extension_settings[MODULE_NAME].summaryChunkTokens)) {
+                    for (const [index, rating] of await rateImportance(chunk)) {
+                        ratings.set(keys[index], rating);
+                    }
+                }
+            } catch (ratingError) {
+                console.error('[Chat Compressor] 重要性评分失败:', ratingError);
+                notify('warning', `重要性评分失败，未评分的消息按默认重要性检索: ${ratingError.message || '未知错误'}`, background);
+            } finally {
+                clearProgress(ratingToast);
+            }
+        }
+
+        // Step 4: Vectorize new messages (if not skipped), retrying previously failed ones first
+        let newVectors = [];
+        let pendingVectorIndices = existingData.pendingVectorIndices || [];
+        if (!extension_settings[MODULE_NAME].skipVectorize) {
+            const configError = getEmbeddingConfigError();
+            if (configError) {
+                notify('warning', `${configError}，跳过向量化`, background);
+            } else {
+                const entries = [...getMessageEntries(chat, pendingVectorIndices), ...newEntries];
+                const result = await vectorizeWithProgress(entries, background);
+                newVectors = result.vectors;
+                pendingVectorIndices = result.failed;
+            }
+        }
+
+        // 合并旧向量和新向量
+        const existingVectors = await loadVectors(existingData);
+        const allVectors = [...existingVectors, ...newVectors];
+
+        // 关键词索引的文档不依赖 API，始终生成；旧数据从已有向量的文本补齐
+        const existingPassages = existingData.passages || existingVectors.map(v => ({ text: v.text, index: v.index, offset: v.offset || 0 }));
+        const allPassages = [...existingPassages, ...chunkMessages(newEntries)];
+
+        // Step 5: Save compression data
+        const totalCompressedCount = (existingData.compressedMessageCount || 0) + filteredNewMessages.length;
+
+        // 按身份记录已压缩的消息，编辑/删除后可重新定位
+        const chatKeys = getMessageKeys(chat);
+        const existingRecords = existingData.messageRecords || range(0, previouslyCompressedIndex).map(i => getMessageRecord(chat[i], i, chatKeys[i]));
+        const newRecords = range(previouslyCompressedIndex, toCompressEndIndex).map(i => getMessageRecord(chat[i], i, chatKeys[i]));
+
+        if (!isSameChat(chatId, background)) {
+            return false;
+        }
+
+        // 压缩期间可能有置顶、星标或记忆表的修改，以最新数据为基础，只写入本次生成的字段
+        const latestData = getCompressionData() || {};
+        const importance = { ...latestData.importance };
+        for (const [key, rating] of ratings) {
+            importance[key] = { ...importance[key], rated: rating };
+        }
+
+        const compressionData = {
+            ...latestData,
+            summary: totalSummary,
+            segments: segments,
+            messageRecords: [...existingRecords, ...newRecords],
+            memory: mergeMemory(latestData.memory || [], memoryUpdates),
+            importance: importance,
+            compressedMessageCount: totalCompressedCount,
+            compressedUntilIndex: toCompressEndIndex,
+            passages: allPassages,
+            pendingVectorIndices: pendingVectorIndices,
+            summaryProgress: null,
+            timestamp: Date.now(),
+        };
+
+        // 向量存入本地向量库，元数据中只保留引用
+        await storeVectors(compressionData, allVectors);
+        setCompressionData(compressionData);
+        updateStatusDisplay();
+
+        const vectorInfo = newVectors.length > 0 ? `，新增向量 ${newVectors.length} 条` : '';
+        const mode = background ? '自动压缩' : isIncremental ? '增量压缩' : '压缩';
+        notify('success', `${mode}完成: 新增 ${filteredNewMessages.length} 条，共 ${totalCompressedCount} 条${vectorInfo}`, background);
+        return true;
+
+    } catch (error) {
+        clearProgress(toast);
+        console.error('[Chat Compressor] 压缩失败:', error);
+        notify('error', '压缩失败: ' + error.message, background);
+        return false;
+    }
+}
+
+/**
+ * Check that the chat a compression run started in is still open. Saving after a chat switch
+ * would write the results into the newly opened chat.
+ * @param {string} chatId Chat ID when the run started
+ * @param {boolean} background Whether this is a background run
+ * @returns {boolean} True if the chat is unchanged
+ */
+function isSameChat(chatId, background) {
+    if (getCurrentChatId() === chatId) return true;
+
+    console.warn(`[Chat Compressor] 压缩期间已切换聊天 (${chatId})，放弃保存本次结果`);
+    notify('warning', '压缩期间切换了聊天，本次结果未保存', background);
+    return false;
+}
+
+/**
+ * Split message entries into consecutive chunks that fit the token limit
+ * @param {Array} entries Message entries
+ * @param {number} maxTokens Max tokens per chunk, 0 = no splitting
+ * @returns {Promise<Array<Array>>} Chunks of entries
+ */
+async function splitEntriesByTokens(entries, maxTokens) {
+    if (entries.length === 0) return [];
+    if (!(maxTokens > 0)) return [entries];
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const entry of entries) {
+        const tokens = await getTokenCountAsync(`${entry.message.name}:${entry.message.mes}`);
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(entry);
+        currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Summarize new messages chunk by chunk so every prompt fits the summarizing model.
+ * Each chunk becomes its own segment. Completed chunks are saved as progress, so a failed run
+ * continues from the last completed chunk next time.
+ * @param {Array} entries Message entries to summarize
+ * @param {number} start First chat index of the range
+ * @param {number} end Chat index after the range
+ * @param {boolean} background Whether this is a background run
+ * @param {string} chatId Chat ID when the run started
+ * @returns {Promise<Array|null>} New segments, or null if summarization failed
+ */
+async function summarizeInChunks(entries, start, end, background, chatId) {
+    const settings = extension_settings[MODULE_NAME];
+
+    // 上次中断时已完成的块（起点相同才复用）
+    const progress = getCompressionData()?.summaryProgress;
+    const segments = progress?.start === start ? progress.segments.filter(s => s.end <= end) : [];
+    const resumeFrom = segments.length > 0 ? segments[segments.length - 1].end : start;
+    if (segments.length > 0) {
+        console.log(`[Chat Compressor] 从断点继续生成摘要: 已完成 ${segments.length} 块 (索引 ${start} - ${resumeFrom})`);
+    }
+
+    const chunks = await splitEntriesByTokens(entries.filter(e => e.index >= resumeFrom), settings.summaryChunkTokens);
+    const total = segments.length + chunks.length;
+
+    for (let i = 0; i < chunks.length; i++) {
+        const chunkStart = segments.length > 0 ? segments[segments.length - 1].end : start;
+        const chunkEnd = i < chunks.length - 1 ? chunks[i + 1][0].index : end;
+        const previousSummary = settings.summaryChunkCarry ? segments[segments.length - 1]?.summary : '';
+
+        const toast = showProgress(total > 1 ? `正在生成摘要 (${segments.length + 1}/${total})...` : '正在生成摘要...', background);
+        let summary;
+        try {
+            summary = await generateSummary(chunks[i].map(e => e.message), previousSummary);
+        } catch (summaryError) {
+            console.error('[Chat Compressor] 摘要生成异常:', summaryError);
+            summary = null;
+            notify('error', `摘要生成失败: ${summaryError.message || '未知错误'}`, background, '请检查控制台');
+        } finally {
+            clearProgress(toast);
+        }
+
+        if (!isSameChat(chatId, background)) {
+            return null;
+        }
+
+        if (!summary) {
+            if (segments.length > 0) {
+                notify('info', `已完成 ${segments.length}/${total} 块，下次压缩将从断点继续`, background);
+            } else {
+                notify('error', '摘要生成失败，API返回空结果', background);
+            }
+            return null;
+        }
+
+        segments.push(createSegment(chunkStart, chunkEnd, summary));
+
+        if (total > 1) {
+            setCompressionData({ ...getCompressionData(), summaryProgress: { start: start, segments: segments } });
+            updateStatusDisplay();
+        }
+    }
+
+    // 末尾被过滤掉的消息（如系统消息）也归入最后一块
+    if (segments.length > 0) {
+        segments[segments.length - 1].end = end;
+    }
+    return segments;
+}
+
+/**
+ * Build an array of consecutive integers
+ * @param {number} start First value (inclusive)
+ * @param {number} end Last value (exclusive)
+ * @returns {number[]} Integers from start to end
+ */
+function range(start, end) {
+    return Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+}
+
+/**
+ * Get compressible messages at the given chat indices, skipping system and empty messages
+ * @param {Array} chat Chat messages
+ * @param {number[]} indices Chat indices
+ * @returns {Array<{index: number, message: object}>} Messages with their chat index
+ */
+function getMessageEntries(chat, indices) {
+    return indices
+        .filter(i => chat[i] && !chat[i].is_system && chat[i].mes)
+        .map(i => ({ index: i, message: chat[i] }));
+}
+
+/**
+ * Vectorize messages while reporting progress as a toast or in the status panel
+ * @param {Array<{index: number, message: object}>} entries Messages with their chat index
+ * @param {boolean} background Whether this is a background run
+ * @returns {Promise<{vectors: Array, failed: number[]}>} New vector items and chat indices that failed
+ */
+async function vectorizeWithProgress(entries, background) {
+    if (entries.length === 0) return { vectors: [], failed: [] };
+
+    console.log(`[Chat Compressor] 正在向量化 ${entries.length} 条消息`);
+    const vectorToast = background ? showProgress('正在向量化新消息... 0%', true) : toastr.info('正在向量化新消息...', '0%', { timeOut: 0, extendedTimeOut: 0 });
+
+    const result = await vectorizeMessages(entries, (progress) => {
+        if (background) {
+            setStatusNote(`正在向量化新消息... ${progress}%`);
+        } else {
+            $('.toast-message').text(`${progress}%`);
+        }
+    });
+    clearProgress(vectorToast);
+
+    if (result.failed.length > 0) {
+        const reason = result.error ? `: ${result.error.message}` : '';
+        notify('warning', `${result.failed.length} 条消息向量化失败，下次压缩时会自动重试${reason}`, background);
+    }
+
+    return result;
+}
+
+/**
+ * Retry vectorization of messages that failed in earlier runs
+ * @param {object} data Existing compression data
+ * @param {boolean} background Whether this is a background run
+ * @param {string} chatId Chat ID when the run started
+ * @returns {Promise<boolean>} Whether any vectors were added
+ */
+async function resumeVectorization(data, background, chatId) {
+    const configError = getEmbeddingConfigError();
+    if (configError) {
+        notify('warning', `${configError}，跳过向量化`, background);
+        return false;
+    }
+
+    const entries = getMessageEntries(getContext().chat, data.pendingVectorIndices);
+    const { vectors, failed } = await vectorizeWithProgress(entries, background);
+
+    const existingVectors = await loadVectors(data);
+    if (!isSameChat(chatId, background)) {
+        return false;
+    }
+
+    // 以最新数据为基础，避免覆盖向量化期间的修改
+    const updatedData = {
+        ...getCompressionData(),
+        pendingVectorIndices: failed,
+        timestamp: Date.now(),
+    };
+    await storeVectors(updatedData, [...existingVectors, ...vectors]);
+    setCompressionData(updatedData);
+    updateStatusDisplay();
+
+    if (vectors.length > 0) {
+        notify('success', `已补全 ${vectors.length} 条向量${failed.length ? `，仍有 ${failed.length} 条待重试` : ''}`, background);
+    }
+    return vectors.length > 0;
+}
+
+/**
+ * Check whether the uncompressed tail of the chat has crossed the auto-compress threshold
+ * @returns {Promise<boolean>} Whether a background compression should run
+ */
+async function shouldAutoCompress() {
+    const settings = extension_settings[MODULE_NAME];
+    const chat = getContext().chat;
+    if (!chat || chat.length <= settings.keepRecentMessages) return false;
+
+    const compressedUntilIndex = getCompressionData()?.compressedUntilIndex || 0;
+    const compressibleCount = chat.length - settings.keepRecentMessages - compressedUntilIndex;
+    if (compressibleCount <= 0) return false;
+
+    if (settings.autoCompressMessages > 0 && compressibleCount >= settings.autoCompressMessages) {
+        return true;
+    }
+
+    if (settings.autoCompressTokens > 0) {
+        const tailText = chat.slice(compressedUntilIndex)
+            .filter(m => !m.is_system && m.mes)
+            .map(m => `${m.name}: ${m.mes}`)
+            .join('\n');
+        const tokenCount = await getTokenCountAsync(tailText);
+        return tokenCount >= settings.autoCompressTokens;
+    }
+
+    return false;
+}
+
+/**
+ * Run background compression if enabled and the threshold is crossed.
+ * Waits for any in-flight generation to finish before starting.
+ */
+async function maybeAutoCompress() {
+    if (!extension_settings[MODULE_NAME].autoCompress || isCompressing) return;
+
+    // 不与正在进行的生成重叠，等生成结束后再执行
+    if (isGenerating) {
+        autoCompressQueued = true;
+        return;
+    }
+
+    autoCompressQueued = false;
+
+    try {
+        if (!await shouldAutoCompress()) return;
+        console.log('[Chat Compressor] 未压缩消息超过阈值，开始自动压缩');
+        await compressChat({ background: true });
+    } catch (error) {
+        console.error('[Chat Compressor] 自动压缩失败:', error);
+        setStatusNote(`自动压缩失败: ${error.message}`);
+    }
+}
+
+/**
+ * Total summary length of top-level segments, including separators
+ * @param {Array} segments Top-level segments
+ * @returns {number} Length in characters
+ */
+function getSegmentsLength(segments) {
+    return joinSegments(segments).length;
+}
+
+/**
+ * Roll up the oldest top-level segments into higher-level summaries until the total summary
+ * fits maxTotalSummaryLength. The newest segment and locked segments are never rolled up, and the rolled-up
+ * segments are kept as children so injection can still use their detail.
+ * @param {Array} segments Top-level segments (modified in place)
+ * @param {boolean} background Whether this is a background run
+ */
+async function rollUpSegments(segments, background) {
+    const maxLength = extension_settings[MODULE_NAME].maxTotalSummaryLength;
+    const maxRounds = 3;
+
+    for (let round = 0; round < maxRounds && getSegmentsLength(segments) > maxLength; round++) {
+        const totalLength = getSegmentsLength(segments);
+
+        // 从最旧的未锁定段开始，凑够总长度的一半左右作为一组（遇到锁定段即截止，保证连续）
+        const group = [];
+        let groupStart = 0;
+        let groupLength = 0;
+        for (let i = 0; i < segments.length - 1; i++) {
+            if (segments[i].locked) {
+                if (group.length > 0) break;
+                groupStart = i + 1;
+                continue;
+            }
+            group.push(segments[i]);
+            groupLength += segments[i].summary.length;
+            if (groupLength >= totalLength / 2) break;
+        }
+
+        if (group.length === 0) break;
+
+        const targetLength = Math.max(100, Math.floor(Math.min(groupLength, maxLength) / 2));
+        console.log(`[Chat Compressor] 总摘要 ${totalLength} 字超过阈值 ${maxLength}，正在将最旧的 ${group.length} 段合并为 ${targetLength} 字以内...`);
+        const compressSummaryToast = showProgress('总摘要过长，正在合并旧摘要...', background);
+
+        try {
+            const rolledUp = await compressTotalSummary(joinSegments(group), targetLength);
+            clearProgress(compressSummaryToast);
+
+            if (!rolledUp) {
+                notify('warning', '合并旧摘要返回空结果，保留原摘要', background);
+                break;
+            }
+
+            const parent = createSegment(group[0].start, group[group.length - 1].end, rolledUp, group);
+            segments.splice(groupStart, group.length, parent);
+            console.log(`[Chat Compressor] 已合并为第 ${parent.level} 层摘要: ${rolledUp.length} 字`);
+        } catch (error) {
+            clearProgress(compressSummaryToast);
+            console.error('[Chat Compressor] 合并旧摘要失败:', error);
+            notify('warning', '合并旧摘要失败，保留原摘要', background);
+            break;
+        }
+    }
+}
+
+/**
+ * Connections that can run the summarization instead of the chat model.
+ * Each one has a display name, a config check and a generate() returning the response text.
+ */
+const summaryConnections = {
+    profile: {
+        name: '连接配置',
+        getMissingConfig: settings => settings.summaryProfileId ? null : '请先选择摘要使用的连接配置',
+        async generate(prompt, systemPrompt, settings) {
+            const result = await ConnectionManagerRequestService.sendRequest(
+                settings.summaryProfileId,
+                [{ role: 'system', content: systemPrompt }, { role: 'user', content: prompt }],
+                settings.summaryMaxTokens,
+                { stream: false, extractData: true, includePreset: false },
+                { temperature: settings.summaryTemperature },
+            );
+            return result?.content;
+        },
+    },
+    openai: {
+        name: 'OpenAI 兼容',
+        getMissingConfig: settings => {
+            if (!settings.summaryBaseUrl) return '请先设置摘要接口地址';
+            if (!settings.summaryModel) return '请先设置摘要模型名称';
+            return null;
+        },
+        async generate(prompt, systemPrompt, settings) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.summaryApiKey) {
+                headers.Authorization = `Bearer ${settings.summaryApiKey}`;
+            }
+
+            const response = await fetch(`${trimBaseUrl(settings.summaryBaseUrl)}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    model: settings.summaryModel,
+                    messages: [
+                        { role: 'system', content: systemPrompt },
+                        { role: 'user', content: prompt },
+                    ],
+                    max_tokens: settings.summaryMaxTokens,
+                    temperature: settings.summaryTemperature,
+                    stream: false,
+                }),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`摘要接口请求失败 (${response.status}): ${errorText.slice(0, 200)}`);
+            }
+
+            const result = await response.json();
+            return result.choices?.[0]?.message?.content;
+        },
+    },
+};
+
+/**
+ * Run a prompt on the summary connection, falling back to the chat model if it is
+ * not configured or fails. Used for summaries, memory extraction and query rewriting.
+ * @param {{prompt: string, systemPrompt: string}} request Prompt and system prompt
+ * @returns {Promise<string>} Response text
+ */
+async function generateText({ prompt, systemPrompt }) {
+    const settings = extension_settings[MODULE_NAME];
+    const connection = summaryConnections[settings.summarySource];
+
+    if (connection) {
+        const configError = connection.getMissingConfig(settings);
+        if (configError) {
+            console.warn(`[Chat Compressor] ${configError}，改用当前聊天模型`);
+        } else {
+            try {
+                const text = await connection.generate(prompt, systemPrompt, settings);
+                if (text && text.trim()) {
+                    return text;
+                }
+                console.warn(`[Chat Compressor] ${connection.name}返回空结果，改用当前聊天模型`);
+            } catch (error) {
+                console.warn(`[Chat Compressor] ${connection.name}请求失败，改用当前聊天模型:`, error);
+            }
+        }
+    }
+
+    return await generateRaw({
+        prompt: prompt,
+        systemPrompt: systemPrompt,
+    });
+}
+
+/**
+ * Compress the total summary when it exceeds the limit
+ * @param {string} summary The total summary to compress
+ * @param {number} targetLength Target length
+ * @returns {Promise<string>} Compressed summary
+ */
+async function compressTotalSummary(summary, targetLength) {
+    const prompt = `你是一个摘要压缩专家。请将以下摘要精简到${targetLength}字以内，保留最重要的信息：
+
+要求：
 1. 保留关键人物、事件、关系变化
 2. 删除重复信息
 3. 使用更精简的表达
 4. 保持时间顺序
 
-原摘要：
-${summary}`;
+原摘要：
+${summary}`;
+
+    const { summary: compressed } = await generateValidatedSummary({
+        prompt: prompt,
+        systemPrompt: '你是摘要压缩助手，将长摘要精简为更短的版本，保留核心信息。',
+    }, targetLength);
+
+    return compressed;
+}
+
+/**
+ * Post-processing presets applied to every generated summary, as ordered [pattern, replacement] steps
+ */
+const POST_PROCESS_PRESETS = {
+    // 精简中文: 合并成一行并去掉多余符号，最省 token
+    dense: [
+        [/\n+/g, ';'],
+        [/\s+/g, ' '],
+        [/\s*;\s*/g, ';'],
+        [/\s*:\s*/g, ':'],
+        [/\s+,/g, ','],
+        [/;+/g, ';'],
+        [/^;+|;+$/g, ''],
+        [/\*+/g, ''],
+        [/#+\s*/g, ''],
+        [/_+/g, ''],
+        [/["""'']/g, ''],
+        [/\(\s*\)/g, ''],
+        [/\[\s*\]/g, ''],
+    ],
+    // 可读英文: 保留句子、换行、引号和下划线，只去掉 Markdown 强调和标题标记
+    readable: [
+        [/\*\*(.+?)\*\*/g, '$1'],
+        [/(^|\s)\*(\S.*?)\*(?=\s|$|[.,;:!?])/gm, '$1$2'],
+        [/^#+\s*/gm, ''],
+        [/[ \t]+/g, ' '],
+        [/ +$/gm, ''],
+        [/\n{3,}/g, '\n\n'],
+    ],
+    // 保留 Markdown: 只清理行尾空白和多余空行
+    markdown: [
+        [/[ \t]+$/gm, ''],
+        [/\n{3,}/g, '\n\n'],
+    ],
+    none: [],
+};
+
+/**
+ * Parse the user-defined replacement rules, one per line in the form /pattern/flags => replacement.
+ * Invalid lines are skipped with a warning.
+ * @param {string} text Rules text
+ * @returns {Array<[RegExp, string]>} Parsed rules
+ */
+function parsePostProcessRules(text) {
+    const rules = [];
+    for (const line of String(text || '').split('\n')) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const match = line.match(/^\s*\/(.+)\/([dgimsuy]*)\s*=>\s?(.*)$/);
+        if (!match) {
+            console.warn(`[Chat Compressor] 无法解析的后处理规则: ${line}`);
+            continue;
+        }
+
+        try {
+            rules.push([new RegExp(match[1], match[2]), match[3].replace(/\\n/g, '\n')]);
+        } catch (error) {
+            console.warn(`[Chat Compressor] 后处理规则中的正则无效: ${line}`, error);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Post-process a generated summary with the selected preset followed by the user rules
+ * @param {string} text The summary text
+ * @returns {string} Processed text
+ */
+function postProcessSummary(text) {
+    if (!text) return text;
+
+    const settings = extension_settings[MODULE_NAME];
+    const steps = [
+        ...(POST_PROCESS_PRESETS[settings.postProcessPreset] || POST_PROCESS_PRESETS.dense),
+        ...parsePostProcessRules(settings.postProcessRules),
+    ];
+
+    let result = text;
+    for (const [pattern, replacement] of steps) {
+        result = result.replace(pattern, replacement);
+    }
+
+    return result.trim();
+}
+
+/**
+ * Generate a summary for the given messages
+ * @param {Array} messages Messages to summarize
+ * @param {string} [previousSummary] Summary of the preceding messages, given to the model as context
+ * @returns {Promise<string>} Summary text
+ */
+async function generateSummary(messages, previousSummary = '') {
+    const messagesText = messages.map(m => `${m.name}:${m.mes}`).join('\n');
+    const chatText = previousSummary ? `[前文摘要]\n${previousSummary}\n\n[需要总结的对话]\n${messagesText}` : messagesText;
+
+    const promptTemplate = extension_settings[MODULE_NAME].summaryPrompt;
+    const maxWords = extension_settings[MODULE_NAME].summaryMaxWords;
+    let prompt = substituteParamsExtended(promptTemplate, { words: maxWords });
+
+    // 群聊按角色分段，避免摘要里分不清谁做了什么
+    const groupSections = Boolean(selected_group && extension_settings[MODULE_NAME].groupSummaryByCharacter);
+    if (groupSections) {
+        const members = [...new Set(messages.filter(m => !m.is_user).map(m => m.name))].join('、');
+        prompt += '\n' + substituteParamsExtended(extension_settings[MODULE_NAME].groupSummaryPrompt, { members: members });
+    }
+
+    console.log('[Chat Compressor] 准备生成摘要...');
+    console.log('[Chat Compressor] 聊天文本长度:', chatText.length);
+
+    try {
+        // 按角色分段时以角色名开头是正常格式，不按续写对话判断
+        const speakers = groupSections ? [] : [...new Set(messages.map(m => m.name))];
+        const { raw: rawSummary, summary } = await generateValidatedSummary({
+            prompt: chatText,
+            systemPrompt: prompt,
+        }, maxWords, speakers);
+
+        console.log('[Chat Compressor] 摘要生成成功');
+        console.log('[Chat Compressor] 原始长度:', rawSummary.length, '压缩后:', summary.length);
+
+        return summary;
+    } catch (error) {
+        console.error('[Chat Compressor] 摘要生成失败:', error);
+        throw error;
+    }
+}
+
+// 模型拒绝回答的常见开头
+const REFUSAL_PATTERN = /^(?:i['’]?m sorry|i am sorry|i can(?:not|['’]t) (?:help|assist|comply|continue|provide)|i['’]?m (?:not able|unable) to|as an ai|sorry,? but)|^(?:抱歉|对不起|很抱歉)|^(?:我)?(?:无法|不能)(?:协助|提供|完成|继续|满足)|^作为(?:一个)?(?:AI|人工智能)/i;
+// 摘要允许超出字数限制的比例
+const SUMMARY_LENGTH_TOLERANCE = 1.5;
+
+/**
+ * Count the length of a summary in the unit of the word limit: CJK characters plus Latin words
+ * @param {string} text Summary text
+ * @returns {number} Length
+ */
+function countSummaryWords(text) {
+    const cjkCount = (text.match(new RegExp(`[${CJK_CLASS}]`, 'gu')) || []).length;
+    const wordCount = (text.replace(new RegExp(`[${CJK_CLASS}]`, 'gu'), ' ').match(/[\p{L}\p{N}]+/gu) || []).length;
+    return cjkCount + wordCount;
+}
+
+/**
+ * Check a model response before it is saved as a summary
+ * @param {string} raw Raw model output
+ * @param {string} summary Post-processed summary
+ * @param {number} maxWords Word limit
+ * @param {string[]} speakers Names of the summarized speakers, used to detect continued dialogue
+ * @returns {string} Reason the summary was rejected, empty if it is acceptable
+ */
+function validateSummary(raw, summary, maxWords, speakers) {
+    const text = (raw || '').trim();
+    if (!text || !summary) {
+        return '结果为空';
+    }
+
+    if (REFUSAL_PATTERN.test(text)) {
+        return '模型拒绝了请求';
+    }
+
+    // 以 *动作描写*、引号对白或“角色名:”开头，多半是在续写对话而不是总结；Markdown 列表 (* 项目) 和粗体 (**标题**) 不算
+    const startsAsDialogue = /^(?:\*(?![\s*])|["“「『])/.test(text)
+        || speakers.some(name => name && (text.startsWith(`${name}:`) || text.startsWith(`${name}：`)));
+    if (startsAsDialogue) {
+        return '模型在续写对话而不是总结';
+    }
+
+    const length = countSummaryWords(summary);
+    if (maxWords > 0 && length > maxWords * SUMMARY_LENGTH_TOLERANCE) {
+        return `超出字数限制 (${length}/${maxWords})`;
+    }
+
+    return '';
+}
+
+/**
+ * Generate a summary and validate it, retrying with the stricter prompt appended when the
+ * model refuses, continues the dialogue or exceeds the word limit
+ * @param {{prompt: string, systemPrompt: string}} request Prompt and system prompt
+ * @param {number} maxWords Word limit
+ * @param {string[]} [speakers] Names of the summarized speakers
+ * @returns {Promise<{raw: string, summary: string}>} Raw output and post-processed summary
+ * @throws {Error} If no attempt passes validation
+ */
+async function generateValidatedSummary(request, maxWords, speakers = []) {
+    const settings = extension_settings[MODULE_NAME];
+    const attempts = 1 + Math.max(0, settings.summaryRetries || 0);
+    let problem = '';
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const systemPrompt = attempt === 1
+            ? request.systemPrompt
+            : `${request.systemPrompt}\n\n${substituteParamsExtended(settings.summaryStrictPrompt, { words: maxWords })}`;
+
+        const raw = await generateText({ prompt: request.prompt, systemPrompt: systemPrompt });
+        const summary = postProcessSummary(raw || '');
+
+        problem = validateSummary(raw, summary, maxWords, speakers);
+        if (!problem) {
+            return { raw: raw, summary: summary };
+        }
+
+        console.warn(`[Chat Compressor] 摘要未通过校验: ${problem} (第 ${attempt}/${attempts} 次)`);
+    }
+
+    throw new Error(`摘要未通过校验: ${problem}`);
+}
+
+/**
+ * Split text into diff pieces at sentence and clause boundaries
+ * @param {string} text Text to split
+ * @returns {string[]} Pieces, including their trailing delimiter
+ */
+function splitDiffPieces(text) {
+    return (text || '').split(/(?<=[;；。！？!?\n]|---)/).filter(piece => piece.length > 0);
+}
+
+/**
+ * Diff two texts piece by piece (longest common subsequence)
+ * @param {string} oldText Old text
+ * @param {string} newText New text
+ * @returns {Array<{type: 'same'|'add'|'del', text: string}>} Diff parts in order
+ */
+function diffTexts(oldText, newText) {
+    const a = splitDiffPieces(oldText);
+    const b = splitDiffPieces(newText);
+    // 比较时忽略末尾分隔符，避免最后一句因少个分号被当成改动
+    const normalize = piece => piece.replace(/[;；。！？!?\s]+$/, '');
+    const same = (i, j) => normalize(a[i]) === normalize(b[j]);
+
+    // lengths[i][j] = a[i..] 与 b[j..] 的最长公共子序列长度
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && same(i, j)) {
+            parts.push({ type: 'same', text: b[j++] });
+            i++;
+        } else if (j < b.length && (i >= a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            parts.push({ type: 'add', text: b[j++] });
+        } else {
+            parts.push({ type: 'del', text: a[i++] });
+        }
+    }
+    return parts;
+}
+
+/**
+ * Show the difference between the stored and the new summary and ask whether to keep the new one
+ * @param {string} oldText Stored summary
+ * @param {string} newText New summary
+ * @param {string} title Dialog title
+ * @returns {Promise<boolean>} True if the new summary was accepted
+ */
+async function confirmSummaryChange(oldText, newText, title) {
+    const diff = $('<div class="chat_compressor_diff">');
+    for (const part of diffTexts(oldText, newText)) {
+        const tag = part.type === 'add' ? '<ins>' : part.type === 'del' ? '<del>' : '<span>';
+        diff.append($(tag).text(part.text));
+    }
+
+    const content = $('<div>').append(
+        $('<h3>').text(title),
+        $('<small>').text(`原摘要 ${countSummaryWords(oldText || '')} 字 → 新摘要 ${countSummaryWords(newText)} 字。绿色为新增，红色删除线为移除的内容`),
+        diff,
+    );
+
+    const result = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: '采用新摘要',
+        cancelButton: '保留原摘要',
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    return result === POPUP_RESULT.AFFIRMATIVE;
+}
+
+/**
+ * Memory categories and their display labels. Characters and relationships fill {{characters}},
+ * the rest fill {{facts}}.
+ */
+const MEMORY_CATEGORIES = {
+    character: '人物',
+    relationship: '关系',
+    location: '地点',
+    inventory: '物品',
+    thread: '未完结线索',
+};
+const CHARACTER_CATEGORIES = ['character', 'relationship'];
+
+/**
+ * Parse memory updates from the model output. Tolerates code fences and text around the JSON array.
+ * @param {string} text Model output
+ * @returns {Array<{category: string, subject: string, value: string}>} Valid updates
+ */
+function parseMemoryUpdates(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+        throw new Error('返回内容中没有 JSON 数组');
+    }
+
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(parsed)) {
+        throw new Error('返回内容不是 JSON 数组');
+    }
+
+    return parsed
+        .filter(item => item && Object.hasOwn(MEMORY_CATEGORIES, item.category) && typeof item.subject === 'string' && item.subject.trim())
+        .map(item => ({
+            category: item.category,
+            subject: item.subject.trim(),
+            value: item.value == null ? '' : String(item.value).trim(),
+        }));
+}
+
+/**
+ * Merge updates into the memory. An update replaces the entry with the same category and subject,
+ * an empty value removes it.
+ * @param {Array} memory Current entries
+ * @param {Array} updates New entries
+ * @returns {Array<{category: string, subject: string, value: string}>} Merged entries
+ */
+function mergeMemory(memory, updates) {
+    const getKey = item => `${item.category}:${item.subject.toLowerCase()}`;
+    const merged = new Map((memory || []).map(item => [getKey(item), item]));
+
+    for (const update of updates) {
+        const key = getKey(update);
+        if (!update.value) {
+            merged.delete(key);
+        } else {
+            merged.set(key, { category: update.category, subject: update.subject, value: update.value });
+        }
+    }
+
+    return [...merged.values()];
+}
+
+/**
+ * Format memory entries of the given categories for injection
+ * @param {Array} memory Memory entries
+ * @param {string[]} categories Categories to include
+ * @returns {string} One entry per line
+ */
+function formatMemory(memory, categories) {
+    return (memory || [])
+        .filter(item => categories.includes(item.category))
+        .sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category))
+        .map(item => `[${MEMORY_CATEGORIES[item.category]}] ${item.subject}: ${item.value}`)
+        .join('\n');
+}
+
+/**
+ * Get the {{characters}} and {{facts}} texts of the compression data
+ * @param {object} data Compression data
+ * @returns {{characters: string, facts: string}} Formatted memory
+ */
+function getMemoryTexts(data) {
+    const factCategories = Object.keys(MEMORY_CATEGORIES).filter(c => !CHARACTER_CATEGORIES.includes(c));
+    return {
+        characters: formatMemory(data.memory, CHARACTER_CATEGORIES),
+        facts: formatMemory(data.memory, factCategories),
+    };
+}
+
+/**
+ * Warn if the injection template has no place for the extracted memory
+ * @param {string} template Injection template
+ */
+function warnMissingMemoryPlaceholders(template) {
+    const missing = ['{{characters}}', '{{facts}}'].filter(key => !template.includes(key));
+    if (missing.length > 0) {
+        toastr.warning(`注入模板中没有 ${missing.join(' / ')}，提取的记忆不会被注入`, '人物与设定记忆');
+    }
+}
+
+/**
+ * Extract character and fact updates from the given messages
+ * @param {Array} messages Messages to extract from
+ * @param {Array} memory Current memory entries, shown to the model so it can update or remove them
+ * @returns {Promise<Array>} Memory updates
+ */
+async function extractMemory(messages, memory) {
+    const chatText = messages.map(m => `${m.name}:${m.mes}`).join('\n');
+    const currentMemory = JSON.stringify((memory || []).map(({ category, subject, value }) => ({ category, subject, value })));
+    const prompt = substituteParamsExtended(extension_settings[MODULE_NAME].memoryPrompt, { memory: currentMemory });
+
+    const result = await generateText({
+        prompt: chatText,
+        systemPrompt: prompt,
+    });
+
+    if (!result) {
+        throw new Error('API返回空结果');
+    }
+
+    const updates = parseMemoryUpdates(result);
+    console.log(`[Chat Compressor] 提取到 ${updates.length} 条记忆更新`);
+    return updates;
+}
+
+// 未评分消息的重要性
+const DEFAULT_IMPORTANCE = 0.5;
+
+/**
+ * Ask the model to rate the importance of messages
+ * @param {Array<{message: object, index: number}>} entries Message entries
+ * @returns {Promise<Map<number, number>>} Importance (0.1-1) by chat index
+ */
+async function rateImportance(entries) {
+    const chatText = entries.map(e => `[${e.index}] ${e.message.name}:${e.message.mes.substring(0, 500)}`).join('\n');
+
+    const result = await generateText({
+        prompt: chatText,
+        systemPrompt: extension_settings[MODULE_NAME].importancePrompt,
+    });
+
+    if (!result) {
+        throw new Error('API返回空结果');
+    }
+
+    const indices = new Set(entries.map(e => e.index));
+    const ratings = new Map();
+    for (const match of result.matchAll(/\[?(\d+)\]?\s*[:：]\s*(\d+(?:\.\d+)?)/g)) {
+        const index = Number(match[1]);
+        if (indices.has(index)) {
+            ratings.set(index, Math.min(10, Math.max(1, Number(match[2]))) / 10);
+        }
+    }
+
+    console.log(`[Chat Compressor] 已为 ${ratings.size}/${entries.length} 条消息评分重要性`);
+    return ratings;
+}
+
+/**
+ * Importance of an entry of the importance map: starred messages count as most important
+ * @param {{rated?: number, starred?: boolean}|undefined} entry Importance entry
+ * @returns {number} Importance 0-1
+ */
+function getImportanceValue(entry) {
+    return entry?.starred ? 1 : entry?.rated ?? DEFAULT_IMPORTANCE;
+}
+
+/**
+ * Importance of a chat message
+ * @param {object} data Compression data
+ * @param {number} [key] Message key, undefined if the message is not in the chat
+ * @returns {number} Importance 0-1
+ */
+function getMessageImportance(data, key) {
+    return getImportanceValue(key !== undefined ? data?.importance?.[key] : undefined);
+}
+
+/**
+ * Recency of a chat message: 1 for the newest, halved every recencyHalfLife messages
+ * @param {number} index Chat index
+ * @param {number} chatLength Chat length
+ * @returns {number} Recency 0-1
+ */
+function getRecency(index, chatLength) {
+    const halfLife = extension_settings[MODULE_NAME].recencyHalfLife;
+    if (!(halfLife > 0)) return 1;
+    return Math.pow(0.5, Math.max(0, chatLength - 1 - index) / halfLife);
+}
+
+/**
+ * Split text into chunks on paragraph and sentence boundaries, with overlap between neighbouring chunks
+ * @param {string} text Text to split
+ * @param {number} size Max chunk length in characters
+ * @param {number} overlap Max characters repeated from the end of the previous chunk
+ * @returns {Array<{text: string, offset: number}>} Chunks with their start offset in the text
+ */
+function chunkText(text, size, overlap) {
+    size = Math.max(100, size || 0);
+    overlap = Math.min(Math.max(0, overlap || 0), Math.floor(size / 2));
+
+    if (text.length <= size) {
+        return [{ text: text, offset: 0 }];
+    }
+
+    // 按换行和中英文句末标点切成句子，超长句子再按长度硬切
+    const pieces = [];
+    const boundary = /\n+|[。！？!?…]+[”’"'」』）)]*|[.;；](?=\s)/g;
+    let start = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+        pieces.push({ start: start, end: match.index + match[0].length });
+        start = match.index + match[0].length;
+    }
+    if (start < text.length) {
+        pieces.push({ start: start, end: text.length });
+    }
+
+    const sentences = [];
+    for (const piece of pieces) {
+        for (let i = piece.start; i < piece.end; i += size) {
+            sentences.push({ start: i, end: Math.min(piece.end, i + size) });
+        }
+    }
+
+    const chunks = [];
+    let first = 0;
+    while (first < sentences.length) {
+        const chunkStart = sentences[first].start;
+        let last = first;
+        while (last + 1 < sentences.length && sentences[last + 1].end - chunkStart <= size) {
+            last++;
+        }
+
+        const chunkEnd = sentences[last].end;
+        const raw = text.slice(chunkStart, chunkEnd);
+        const trimmed = raw.trim();
+        if (trimmed) {
+            chunks.push({ text: trimmed, offset: chunkStart + (raw.length - raw.trimStart().length) });
+        }
+
+        if (last + 1 >= sentences.length) break;
+
+        // 下一块从本块末尾不超过 overlap 长度的句子开始，且必须能容纳下一个新句子
+        let next = last + 1;
+        while (next - 1 > first
+            && chunkEnd - sentences[next - 1].start <= overlap
+            && sentences[last + 1].end - sentences[next - 1].start <= size) {
+            next--;
+        }
+        first = next;
+    }
+
+    return chunks;
+}
+
+/**
+ * Split messages into retrieval chunks prefixed with the speaker name
+ * @param {Array<{index: number, message: object}>} entries Messages with their chat index
+ * @returns {Array<{text: string, index: number, offset: number}>} Chunks with message index and offset
+ */
+function chunkMessages(entries) {
+    const settings = extension_settings[MODULE_NAME];
+    return entries.flatMap(e => chunkText(e.message.mes, settings.chunkSize, settings.chunkOverlap).map(c => ({
+        text: `${e.message.name}: ${c.text}`,
+        index: e.index,
+        offset: c.offset,
+    })));
+}
+
+/**
+ * Vectorize messages in batches with bounded concurrency using the selected embedding provider.
+ * Long messages are split into chunks; each chunk is stored with its message index and offset.
+ * Messages with a failed chunk are returned as failed instead of dropped so they can be retried on the next run.
+ * @param {Array<{index: number, message: object}>} entries Messages with their chat index
+ * @param {Function} onProgress Progress callback (0-100)
+ * @returns {Promise<{vectors: Array, failed: number[], error: Error|null}>} Vector items {text, vector, space, index, offset}, failed chat indices and the last error
+ */
+async function vectorizeMessages(entries, onProgress) {
+    const settings = extension_settings[MODULE_NAME];
+    const batchSize = Math.max(1, Math.min(settings.embeddingBatchSize, getEmbeddingProvider().maxBatchSize));
+    const concurrency = Math.max(1, settings.embeddingConcurrency);
+
+    const chunks = chunkMessages(entries);
+
+    const batches = [];
+    for (let i = 0; i < chunks.length; i += batchSize) {
+        batches.push(chunks.slice(i, i + batchSize));
+    }
+
+    const vectors = [];
+    const failed = new Set();
+    let lastError = null;
+    let fatal = false;
+    let nextBatch = 0;
+    let doneCount = 0;
+
+    const worker = async () => {
+        while (nextBatch < batches.length) {
+            const batch = batches[nextBatch++];
+
+            if (fatal) {
+                batch.forEach(c => failed.add(c.index));
+                continue;
+            }
+
+            try {
+                const { vectors: batchVectors, space } = await getEmbeddings(batch.map(c => c.text));
+
+                batch.forEach((chunk, i) => vectors.push({
+                    text: chunk.text,
+                    vector: batchVectors[i],
+                    space: space,  // 记录 provider/模型/维度，避免跨空间比较
+                    index: chunk.index,
+                    offset: chunk.offset,
+                }));
+            } catch (error) {
+                console.error(`[Chat Compressor] 向量化消息 ${batch[0].index}-${batch[batch.length - 1].index} 失败:`, error);
+                batch.forEach(c => failed.add(c.index));
+                lastError = error;
+                // 认证或模型错误不会自行恢复，剩余批次直接标记为失败
+                if ([401, 403, 404].includes(error.status)) fatal = true;
+            }
+
+            doneCount += batch.length;
+            const progress = Math.round((doneCount / chunks.length) * 100);
+            if (onProgress) onProgress(progress);
+            console.log(`[Chat Compressor] 向量化进度: ${progress}% (${doneCount}/${chunks.length})`);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+
+    // 部分分块失败的消息整条重试，丢弃其已成功的分块以免重复
+    const succeeded = vectors
+        .filter(v => !failed.has(v.index))
+        .sort((a, b) => a.index - b.index || a.offset - b.offset);
+
+    return { vectors: succeeded, failed: [...failed].sort((a, b) => a - b), error: lastError };
+}
+
+// 关键词分词: 中日韩文字连续片段，或其他文字/数字组成的单词
+const CJK_CLASS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const TOKEN_PATTERN = new RegExp(`[${CJK_CLASS}]+|(?:(?![${CJK_CLASS}])[\\p{L}\\p{N}_])+`, 'gu');
+const CJK_START_PATTERN = new RegExp(`^[${CJK_CLASS}]`, 'u');
+
+/**
+ * Tokenize text for the lexical index. Latin words are lowercased whole words;
+ * CJK runs are split into overlapping character bigrams (single characters stay unigrams).
+ * @param {string} text Text to tokenize
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+
+    for (const match of String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+        const word = match[0];
+        if (!CJK_START_PATTERN.test(word)) {
+            tokens.push(word);
+        } else if (word.length === 1) {
+            tokens.push(word);
+        } else {
+            for (let i = 0; i < word.length - 1; i++) {
+                tokens.push(word.substring(i, i + 2));
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Count token occurrences
+ * @param {string[]} tokens Tokens
+ * @returns {Map<string, number>} Term frequencies
+ */
+function countTerms(tokens) {
+    const counts = new Map();
+    for (const token of tokens) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return counts;
+}
+
+// BM25 索引缓存，按文档数组和数量判断是否失效
+let lexicalIndexCache = { docs: null, count: 0, index: null };
+
+/**
+ * Get the BM25 index over the compressed passages of the current chat.
+ * Chats compressed before passages existed fall back to the texts stored with their vectors.
+ * @param {object} data Compression data
+ * @returns {object|null} Index {docs, df, avgLength} or null if there is nothing to search
+ */
+function getLexicalIndex(data) {
+    const docs = data?.passages?.length ? data.passages : data?.vectors;
+    if (!docs || docs.length === 0) return null;
+
+    if (lexicalIndexCache.docs === docs && lexicalIndexCache.count === docs.length) {
+        return lexicalIndexCache.index;
+    }
+
+    const index = buildLexicalIndex(docs);
+    lexicalIndexCache = { docs: docs, count: docs.length, index: index };
+    return index;
+}
+
+/**
+ * Build a BM25 index over passages
+ * @param {Array<{text: string, index: number, offset?: number}>} docs Passages (not empty)
+ * @returns {object} Index {docs, df, avgLength}
+ */
+function buildLexicalIndex(docs) {
+    const df = new Map();
+    let totalLength = 0;
+    const indexedDocs = docs.map(doc => {
+        const tokens = tokenize(doc.text);
+        const tf = countTerms(tokens);
+        for (const term of tf.keys()) {
+            df.set(term, (df.get(term) || 0) + 1);
+        }
+        totalLength += tokens.length;
+        return { text: doc.text, index: doc.index, offset: doc.offset || 0, tf: tf, length: tokens.length };
+    });
+
+    return { docs: indexedDocs, df: df, avgLength: totalLength / indexedDocs.length || 1 };
+}
+
+/**
+ * Score passages against the query with BM25
+ * @param {object} index Index from getLexicalIndex()
+ * @param {Array<{text: string, weight: number}>} parts Weighted query parts
+ * @returns {Map<number, {text: string, index: number, offset: number, score: number}>} Best passage per message index, score normalized to 0-1
+ */
+function scoreLexical(index, parts) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const N = index.docs.length;
+
+    // 查询词频按各部分的权重累加
+    const queryTerms = new Map();
+    for (const part of parts) {
+        for (const [term, count] of countTerms(tokenize(part.text))) {
+            queryTerms.set(term, (queryTerms.get(term) || 0) + count * part.weight);
+        }
+    }
+
+    const bestByMessage = new Map();
+    let maxScore = 0;
+
+    for (const doc of index.docs) {
+        let score = 0;
+        for (const [term, queryCount] of queryTerms) {
+            const tf = doc.tf.get(term);
+            if (!tf) continue;
+            const df = index.df.get(term) || 0;
+            const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+            score += queryCount * idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / index.avgLength));
+        }
+
+        if (score <= 0) continue;
+        maxScore = Math.max(maxScore, score);
+
+        const best = bestByMessage.get(doc.index);
+        if (!best || score > best.score) {
+            bestByMessage.set(doc.index, { text: doc.text, index: doc.index, offset: doc.offset, score: score });
+        }
+    }
+
+    // 归一化到 0-1，便于与余弦相似度融合
+    for (const item of bestByMessage.values()) {
+        item.score /= maxScore;
+    }
+
+    return bestByMessage;
+}
+
+/**
+ * Embed the query. Each query part is embedded separately and combined as a weighted sum of
+ * unit vectors, then normalized.
+ * @param {Array<{text: string, weight: number}>} parts Weighted query parts
+ * @returns {Promise<{vector: Float32Array, space: string}>} Query vector and its embedding space
+ */
+async function embedQuery(parts) {
+    const { vectors: partVectors, space } = await getEmbeddings(parts.map(p => p.text.substring(0, 2000)));
+
+    const queryVector = new Float32Array(partVectors[0].length);
+    partVectors.forEach((vector, i) => {
+        const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+        for (let d = 0; d < vector.length; d++) {
+            queryVector[d] += parts[i].weight * vector[d] / norm;
+        }
+    });
+    // 归一化后与预先归一化的向量点积即为余弦相似度
+    const queryNorm = Math.sqrt(queryVector.reduce((sum, x) => sum + x * x, 0)) || 1;
+    for (let d = 0; d < queryVector.length; d++) {
+        queryVector[d] /= queryNorm;
+    }
+
+    return { vector: queryVector, space: space };
+}
+
+/**
+ * Score vector items against the query vector
+ * @param {Array} items Vector items of the query's embedding space
+ * @param {Float32Array} queryVector Normalized query vector
+ * @returns {Map<number, {text: string, index: number, offset: number, score: number}>} Best chunk per message index by cosine similarity
+ */
+function scoreVectorItems(items, queryVector) {
+    // 同一条消息的多个分块只保留最相似的一块
+    const bestByMessage = new Map();
+    for (const item of items) {
+        const score = scoreVectorItem(queryVector, item);
+        const best = bestByMessage.get(item.index);
+        if (!best || score > best.score) {
+            bestByMessage.set(item.index, { text: item.text, index: item.index, offset: item.offset || 0, score: score });
+        }
+    }
+    return bestByMessage;
+}
+
+/**
+ * Score the stored vectors of the current chat against the query embedding
+ * @param {object} data Compression data
+ * @param {{vector: Float32Array, space: string}} query Query embedding from embedQuery()
+ * @returns {Promise<Map<number, {text: string, index: number, offset: number, score: number}>>} Best chunk per message index by cosine similarity
+ */
+async function scoreVectors(data, { vector: queryVector, space }) {
+    // 只与同一向量空间（provider/模型/维度）的向量比较
+    const vectors = await loadVectors(data);
+    const comparable = vectors.filter(item => getItemEmbeddingSpace(item) === space);
+    if (comparable.length < vectors.length) {
+        console.warn(`[Chat Compressor] ${vectors.length - comparable.length} 条向量与当前 Embedding 模型 (${space}) 不匹配，已跳过。请清除数据后重新压缩`);
+    }
+
+    // 向量数超过阈值时只扫描 ANN 索引中最接近的几个簇
+    const annIndex = await getAnnIndex(data, comparable, space);
+    const candidates = annIndex
+        ? searchIvfIndex(annIndex, queryVector, extension_settings[MODULE_NAME].annProbes).map(p => comparable[p])
+        : comparable;
+
+    return scoreVectorItems(candidates, queryVector);
+}
+
+/**
+ * Build the retrieval query from the recent conversation window.
+ * The latest user message anchors the window; earlier messages are weighted down by recency.
+ * @param {Array} chat Chat messages
+ * @returns {Array<{text: string, weight: number}>} Query parts, newest first (empty if there is no user message)
+ */
+function buildRetrievalQuery(chat) {
+    const settings = extension_settings[MODULE_NAME];
+    const windowSize = Math.max(1, settings.queryMessageCount);
+    const decay = settings.queryRecencyDecay;
+
+    let anchor = -1;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (chat[i].is_user && chat[i].mes) {
+            anchor = i;
+            break;
+        }
+    }
+    if (anchor < 0) return [];
+
+    const parts = [];
+    const included = new Set();
+    for (let i = anchor; i >= 0 && parts.length < windowSize; i--) {
+        const m = chat[i];
+        if (m.is_system || !m.mes) continue;
+        parts.push({ text: m.is_user ? m.mes : `${m.name}: ${m.mes}`, weight: decay ** parts.length });
+        included.add(i);
+    }
+
+    // 可选: 即使超出窗口，也加入角色的上一条回复
+    if (settings.queryIncludeCharacter) {
+        for (let i = anchor - 1; i >= 0; i--) {
+            const m = chat[i];
+            if (m.is_user || m.is_system || !m.mes) continue;
+            if (!included.has(i)) {
+                parts.push({ text: `${m.name}: ${m.mes}`, weight: decay });
+            }
+            break;
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Format query parts for logging and display
+ * @param {Array<{text: string, weight: number}>} parts Query parts
+ * @returns {string} Query text
+ */
+function getQueryText(parts) {
+    return parts.map(p => p.text).join(' / ');
+}
+
+/**
+ * Ask the LLM to rewrite the conversation window into search keywords
+ * @param {Array<{text: string, weight: number}>} parts Query parts, newest first
+ * @returns {Promise<Array<{text: string, weight: number}>>} A single keyword query part, or the original parts on failure
+ */
+async function rewriteQuery(parts) {
+    const conversation = [...parts].reverse().map(p => p.text).join('\n');
+
+    try {
+        const keywords = await generateText({
+            prompt: conversation,
+            systemPrompt: extension_settings[MODULE_NAME].queryRewritePrompt,
+        });
+
+        if (!keywords || !keywords.trim()) {
+            console.warn('[Chat Compressor] 查询改写返回空结果，使用原始查询');
+            return parts;
+        }
+
+        console.log(`[Chat Compressor] 查询已改写为: ${keywords.trim()}`);
+        return [{ text: keywords.trim(), weight: 1 }];
+    } catch (error) {
+        console.error('[Chat Compressor] 查询改写失败，使用原始查询:', error);
+        return parts;
+    }
+}
+
+/**
+ * Check whether the compression data has anything to retrieve from
+ * @param {object} data Compression data
+ * @returns {boolean} True if there are passages or vectors
+ */
+function hasRetrievableData(data) {
+    return Boolean(data?.passages?.length || getVectorCount(data));
+}
+
+/**
+ * Fuse keyword and vector scores per message: weighted when there are vector scores, keywords only otherwise
+ * @param {Map<number, object>} lexicalScores Scores from scoreLexical()
+ * @param {Map<number, object>|null} vectorScores Scores from scoreVectorItems(), null if unavailable
+ * @returns {Array} Hits {text, index, offset, similarity, vectorScore, lexicalScore}
+ */
+function fuseScores(lexicalScores, vectorScores) {
+    const lexicalWeight = extension_settings[MODULE_NAME].hybridWeight;
+    const fused = [];
+    const messageIndices = new Set([...lexicalScores.keys(), ...(vectorScores?.keys() || [])]);
+    for (const index of messageIndices) {
+        const lexical = lexicalScores.get(index);
+        const vector = vectorScores?.get(index);
+        const lexicalScore = lexical?.score || 0;
+        const vectorScore = vector?.score || 0;
+        const similarity = vectorScores ? lexicalWeight * lexicalScore + (1 - lexicalWeight) * vectorScore : lexicalScore;
+
+        fused.push({
+            // 优先使用向量命中的分块，保证与语义最相关
+            ...(vector || lexical),
+            similarity: similarity,
+            vectorScore: vectorScores ? vectorScore : null,
+            lexicalScore: lexicalScore,
+        });
+    }
+    return fused;
+}
+
+/**
+ * Word overlap (Jaccard) of two token sets
+ * @param {Set<string>} a Tokens
+ * @param {Set<string>} b Tokens
+ * @returns {number} Overlap 0-1
+ */
+function textOverlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Select hits above the similarity threshold. Hits are ranked by similarity plus weighted importance
+ * and recency, then picked one by one with MMR: a hit's rank score is lowered by its word overlap
+ * with the hits already picked, so near-duplicates do not fill all slots.
+ * @param {Array} hits Fused hits with importance and recency
+ * @param {number} count Maximum number of hits
+ * @returns {Array} Selected hits in pick order, with rankScore
+ */
+function selectTopHits(hits, count) {
+    const settings = extension_settings[MODULE_NAME];
+    const lambda = 1 - Math.min(1, Math.max(0, settings.mmrDiversity));
+
+    const ranked = hits
+        .filter(item => item.similarity >= settings.similarityThreshold)
+        .map(item => ({
+            ...item,
+            rankScore: item.similarity
+                + settings.importanceWeight * (item.importance ?? DEFAULT_IMPORTANCE)
+                + settings.recencyWeight * (item.recency ?? 0),
+        }))
+        .sort((a, b) => b.rankScore - a.rankScore);
+
+    if (lambda === 1) return ranked.slice(0, count);
+
+    // 只在排名靠前的候选中做多样性选择
+    const candidates = ranked.slice(0, count * 4).map(item => ({ item: item, tokens: new Set(tokenize(item.text)) }));
+    const selected = [];
+    while (selected.length < count && candidates.length > 0) {
+        let bestPosition = 0;
+        let bestValue = -Infinity;
+        candidates.forEach((candidate, position) => {
+            const redundancy = Math.max(0, ...selected.map(s => textOverlap(s.tokens, candidate.tokens)));
+            const value = lambda * candidate.item.rankScore - (1 - lambda) * redundancy;
+            if (value > bestValue) {
+                bestValue = value;
+                bestPosition = position;
+            }
+        });
+        selected.push(candidates.splice(bestPosition, 1)[0]);
+    }
+
+    return selected.map(s => s.item);
+}
+
+/**
+ * Query compressed history with hybrid retrieval: BM25 keyword scores fused with cosine similarity.
+ * Falls back to keywords only when there are no vectors or no embedding service is available.
+ * When the chat includes the character's memory bank, hits from other chats are appended.
+ * @param {string|Array<{text: string, weight: number}>} query Query text or weighted query parts
+ * @param {object} [options] Options
+ * @param {number} [options.topK] Number of hits from the current chat, defaults to the retrieve count setting
+ * @returns {Promise<Array>} Retrieved messages {text, index, offset, similarity, vectorScore, lexicalScore, bank?}
+ */
+async function queryVectors(query, { topK = extension_settings[MODULE_NAME].retrieveCount } = {}) {
+    const data = getCompressionData();
+    const useBank = isMemoryBankActive();
+    if (!hasRetrievableData(data) && !useBank) {
+        console.log('[Chat Compressor] 跳过检索: 无可检索数据');
+        return [];
+    }
+
+    const parts = typeof query === 'string' ? [{ text: query, weight: 1 }] : query;
+    console.log(`[Chat Compressor] 正在检索，关键词: "${getQueryText(parts).substring(0, 50)}..."`);
+
+    // 查询向量在当前聊天和长期记忆库之间共用，只请求一次
+    let queryEmbedding;
+    const getQueryEmbedding = async () => {
+        if (queryEmbedding !== undefined) return queryEmbedding;
+        queryEmbedding = null;
+
+        const configError = getEmbeddingConfigError();
+        if (configError) {
+            console.log(`[Chat Compressor] 跳过向量查询: ${configError}，仅使用关键词检索`);
+            return null;
+        }
+        try {
+            queryEmbedding = await embedQuery(parts);
+        } catch (error) {
+            console.error('[Chat Compressor] 向量查询错误，仅使用关键词检索:', error);
+        }
+        return queryEmbedding;
+    };
+
+    let results = [];
+    if (hasRetrievableData(data)) {
+        const lexicalIndex = getLexicalIndex(data);
+        const lexicalScores = lexicalIndex ? scoreLexical(lexicalIndex, parts) : new Map();
+
+        let vectorScores = null;
+        const embedding = getVectorCount(data) > 0 ? await getQueryEmbedding() : null;
+        if (embedding) {
+            try {
+                vectorScores = await scoreVectors(data, embedding);
+            } catch (error) {
+                console.error('[Chat Compressor] 向量查询错误，仅使用关键词检索:', error);
+            }
+        }
+
+        // 过滤低于阈值的，按相关度、重要性和新近度排序，取前 topK 个
+        const chat = getContext().chat || [];
+        const keys = getMessageKeys(chat);
+        const hits = applySpeakerAwareness(fuseScores(lexicalScores, vectorScores)).map(hit => ({
+            ...hit,
+            importance: getMessageImportance(data, keys[hit.index]),
+            recency: getRecency(hit.index, chat.length),
+        }));
+        results = selectTopHits(hits, topK);
+    }
+
+    if (useBank) {
+        try {
+            const bankHits = await queryMemoryBank(parts, getQueryEmbedding);
+            results = [...results, ...selectTopHits(bankHits, extension_settings[MODULE_NAME].memoryBankCount)];
+        } catch (error) {
+            console.error('[Chat Compressor] 长期记忆库检索失败:', error);
+        }
+    }
+
+    console.log(`[Chat Compressor] 检索到 ${results.length} 条相关记录`);
+    results.forEach(r => console.log(`  - 相关度 ${r.similarity.toFixed(3)}${r.bank ? ` [${r.bank.chatId}]` : ''}: ${r.text.substring(0, 50)}...`));
+
+    return results;
+}
+
+/**
+ * In group chats, boost hits involving the character about to speak and optionally drop hits
+ * that character could not have witnessed: it neither sent nor was mentioned in the message,
+ * and did not speak within the witness window around it.
+ * @param {Array} hits Fused hits {text, index, similarity}
+ * @returns {Array} Adjusted hits
+ */
+function applySpeakerAwareness(hits) {
+    const settings = extension_settings[MODULE_NAME];
+    if (!selected_group || !currentSpeaker) return hits;
+
+    const chat = getContext().chat || [];
+    const radius = Math.max(0, settings.groupWitnessWindow);
+    const involves = hit => chat[hit.index]?.name === currentSpeaker || hit.text.includes(currentSpeaker);
+    const witnessed = hit => involves(hit)
+        || chat.slice(Math.max(0, hit.index - radius), hit.index + radius + 1).some(m => m.name === currentSpeaker);
+
+    const adjusted = hits
+        .filter(hit => !settings.groupWitnessedOnly || witnessed(hit))
+        .map(hit => involves(hit) ? { ...hit, similarity: hit.similarity * (1 + settings.groupSpeakerBoost) } : hit);
+
+    if (adjusted.length < hits.length) {
+        console.log(`[Chat Compressor] 已过滤 ${hits.length - adjusted.length} 条 ${currentSpeaker} 未在场的记忆`);
+    }
+    return adjusted;
+}
+
+// 上次检索的结果，供检索结果列表重新渲染
+let lastRetrieved = { results: [], query: '' };
+
+/**
+ * Update the retrieved results display in UI
+ * @param {Array} results Retrieved results
+ * @param {string} query Query text
+ */
+function updateRetrievedDisplay(results, query) {
+    if (!extension_settings[MODULE_NAME].showRetrieved) return;
+
+    const infoElement = $('#chat_compressor_retrieved_info');
+    lastRetrieved = { results: results || [], query: query };
+
+    if (!results || results.length === 0) {
+        infoElement.html(`查询: "${query.substring(0, 30)}..."<br>结果: 未找到相关内容`);
+        renderRetrievedList();
+        return;
+    }
+
+    const timestamp = new Date().toLocaleTimeString();
+    infoElement.html(`
+        <b>查询:</b> "${query.substring(0, 50)}..."<br>
+        <b>结果:</b> ${results.length} 条匹配 | <b>时间:</b> ${timestamp}
+    `);
+
+    renderRetrievedList();
+}
+
+/**
+ * Render the last retrieved results as a list, each hit with its scores and a star toggle
+ */
+function renderRetrievedList() {
+    const container = $('#chat_compressor_retrieved_content').empty();
+    const results = lastRetrieved.results;
+
+    if (results.length === 0) {
+        container.append($('<small>').text('检索到的内容会显示在这里...'));
+        return;
+    }
+
+    const data = getCompressionData();
+    const chat = getContext().chat || [];
+    const keys = getMessageKeys(chat);
+
+    results.forEach((r, i) => {
+        const similarity = (r.similarity * 100).toFixed(1);
+        const vectorInfo = r.vectorScore !== null && r.vectorScore !== undefined ? `向量 ${(r.vectorScore * 100).toFixed(1)}% / ` : '';
+        const lexicalInfo = r.lexicalScore !== undefined ? ` (${vectorInfo}关键词 ${(r.lexicalScore * 100).toFixed(1)}%)` : '';
+        const importanceInfo = ` · 重要性 ${((r.importance ?? DEFAULT_IMPORTANCE) * 10).toFixed(1)}`;
+        const sourceInfo = r.bank ? ` · 往期聊天: ${r.bank.chatId}` : r.index >= 0 ? ` · 消息 #${r.index}` : '';
+
+        const header = $('<div class="chat_compressor_retrieved_header">')
+            .append($('<span>').text(`#${i + 1} 相关度: ${similarity}%${lexicalInfo}${importanceInfo}${sourceInfo}`));
+
+        // 往期聊天的命中无法对应到当前聊天的消息，不能标记
+        if (!r.bank && chat[r.index]) {
+            const starred = Boolean(data?.importance?.[keys[r.index]]?.starred);
+            header.append($('<i class="menu_button fa-star chat_compressor_retrieved_star">')
+                .addClass(starred ? 'fa-solid' : 'fa-regular')
+                .attr({ 'data-index': r.index, title: starred ? '取消重要标记' : '标记为重要（检索时按最高重要性排序）' }));
+        }
+
+        header.append($('<i class="menu_button fa-solid fa-thumbtack chat_compressor_retrieved_pin" title="置顶（始终注入）">').attr('data-position', i));
+
+        container.append($('<div class="chat_compressor_retrieved_item">').append(
+            header,
+            $('<div class="chat_compressor_retrieved_text">').text(r.text),
+        ));
+    });
+}
+
+/**
+ * Star or unstar a compressed message as important. Starred messages rank with the highest
+ * importance; unstarring falls back to the model rating, if any.
+ * @param {number} index Chat index
+ */
+function toggleImportanceStar(index) {
+    const data = getCompressionData();
+    const chat = getContext().chat || [];
+    if (!data || !chat[index]) return;
+
+    const key = getMessageKeys(chat)[index];
+    const { starred, ...entry } = data.importance?.[key] || {};
+    if (!starred) entry.starred = true;
+
+    data.importance = { ...data.importance, [key]: entry };
+    if (Object.keys(entry).length === 0) delete data.importance[key];
+    setCompressionData(data);
+
+    for (const result of lastRetrieved.results) {
+        if (!result.bank && result.index === index) {
+            result.importance = getMessageImportance(data, key);
+        }
+    }
+    renderRetrievedList();
+}
+
+/**
+ * Find a chat message by its identity key
+ * @param {Array} chat Chat messages
+ * @param {number} key Message key from getMessageKeys()
+ * @returns {number} Chat index, -1 if the message is no longer in the chat
+ */
+function findMessageIndex(chat, key) {
+    return getMessageKeys(chat).indexOf(key);
+}
+
+/**
+ * Get the injected text of a pin: the current text of a pinned message, or the stored text if the
+ * pin is not a message or the message was deleted
+ * @param {{key: number|null, text: string}} pin Pin
+ * @param {Array} chat Chat messages
+ * @returns {string} Pin text
+ */
+function getPinText(pin, chat) {
+    const index = pin.key !== null ? findMessageIndex(chat, pin.key) : -1;
+    return index >= 0 ? formatMessage(chat[index]) : pin.text;
+}
+
+/**
+ * Get the {{pinned}} text of the compression data
+ * @param {object|null} data Compression data
+ * @returns {string} One pin per line, in pin order
+ */
+function getPinnedText(data) {
+    const chat = getContext().chat || [];
+    return (data?.pins || []).map(pin => getPinText(pin, chat)).join('\n');
+}
+
+/**
+ * Pin a message or text so it is always injected, creating compression data if the chat has none
+ * @param {number|null} key Message key, null for a text that is not a message of this chat
+ * @param {string} text Text to inject (kept in case the message is deleted)
+ */
+function addPin(key, text) {
+    const data = getCompressionData() || {};
+    const pins = data.pins || [];
+
+    if (pins.some(p => key !== null ? p.key === key : p.text === text)) {
+        toastr.info('已经置顶过了');
+        return;
+    }
+
+    setCompressionData({ ...data, pins: [...pins, { id: uuidv4(), key: key, text: text, timestamp: Date.now() }] });
+    renderPinList();
+
+    if (!extension_settings[MODULE_NAME].injectionTemplate.includes('{{pinned}}')) {
+        toastr.warning('注入模板中没有 {{pinned}}，置顶内容不会被注入', '已置顶');
+    } else {
+        toastr.success('已置顶');
+    }
+}
+
+/**
+ * Render the pin list with reorder and unpin actions
+ */
+function renderPinList() {
+    const container = $('#chat_compressor_pin_list').empty();
+    const pins = getCompressionData()?.pins || [];
+    const chat = getContext().chat || [];
+
+    if (pins.length === 0) {
+        container.append($('<small>').text('暂无置顶内容，可在聊天消息或检索结果上点击图钉置顶'));
+        return;
+    }
+
+    pins.forEach((pin, position) => {
+        const index = pin.key !== null ? findMessageIndex(chat, pin.key) : -1;
+        const source = pin.key === null ? '文本' : index >= 0 ? `消息 #${index}` : '原消息已删除';
+
+        const actions = $('<div class="chat_compressor_segment_actions">');
+        const addAction = (action, icon, title, disabled) => actions.append(
+            $('<i class="menu_button fa-solid">').addClass(icon).toggleClass('disabled', disabled).attr({ 'data-action': action, title: title }));
+        addAction('up', 'fa-arrow-up', '上移', position === 0);
+        addAction('down', 'fa-arrow-down', '下移', position === pins.length - 1);
+        addAction('unpin', 'fa-xmark', '取消置顶', false);
+
+        container.append($('<div class="chat_compressor_pin">').attr('data-id', pin.id).append(
+            $('<div class="chat_compressor_segment_header">').append($('<span>').text(source), actions),
+            $('<div class="chat_compressor_segment_text">').text(getPinText(pin, chat)),
+        ));
+    });
+}
+
+/**
+ * Handle a reorder or unpin action of the pin list
+ * @param {JQuery.ClickEvent} event Click event
+ */
+function onPinAction(event) {
+    const action = $(event.currentTarget).data('action');
+    const id = $(event.currentTarget).closest('.chat_compressor_pin').data('id');
+
+    const data = getCompressionData();
+    const pins = [...(data?.pins || [])];
+    const position = pins.findIndex(p => p.id === id);
+    if (position < 0) return;
+
+    switch (action) {
+        case 'up':
+        case 'down': {
+            const target = action === 'up' ? position - 1 : position + 1;
+            if (target < 0 || target >= pins.length) return;
+            [pins[position], pins[target]] = [pins[target], pins[position]];
+            break;
+        }
+        case 'unpin':
+            pins.splice(position, 1);
+            break;
+    }
+
+    setCompressionData({ ...data, pins: pins });
+    renderPinList();
+}
+
+/**
+ * Clear all compression data for current chat
+ */
+async function clearCompressionData() {
+    await deleteVectors(getCompressionData());
+    setCompressionData(null);
+    updateStatusDisplay();
+    setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
+
+    toastr.success('压缩数据已清除');
+}
+
+const MEMORY_BANK_PREFIX = 'bank:';
+const MEMORY_BANK_TOGGLE_KEY = `${MODULE_NAME}_use_bank`;
+// 长期记忆库检索缓存，参与检索的记录或其更新时间变化时失效
+let memoryBankCache = { key: null, entries: null };
+
+/**
+ * Character whose memory bank the current chat belongs to. Only one-on-one chats have one.
+ * @returns {string|null} Character avatar file name, or null in group chats and without a character
+ */
+function getMemoryBankCharacter() {
+    const context = getContext();
+    if (selected_group || context.characterId === undefined) return null;
+    return context.characters[context.characterId]?.avatar || null;
+}
+
+/**
+ * Whether the current chat includes its character's memory bank in retrieval
+ * @returns {boolean} True if included
+ */
+function isMemoryBankActive() {
+    return Boolean(chat_metadata?.[MEMORY_BANK_TOGGLE_KEY]) && getMemoryBankCharacter() !== null;
+}
+
+/**
+ * Load the memory bank entries of a character, newest first
+ * @param {string} character Character avatar file name
+ * @returns {Promise<Array>} Entries {id, character, chatId, summary, segments, passages, vectorStoreId, compressedUntilIndex, enabled, timestamp}
+ */
+async function loadMemoryBank(character) {
+    const prefix = `${MEMORY_BANK_PREFIX}${character}:`;
+    const entries = await runVectorStoreRequest('readonly', store => store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Add or refresh the current chat's entry in its character's memory bank, or remove it once the
+ * chat has no summary. Vectors are not copied; the entry references the chat's vector collection.
+ */
+async function updateMemoryBank() {
+    const character = getMemoryBankCharacter();
+    const chatId = getCurrentChatId();
+    if (!character || !chatId) return;
+
+    const id = `${MEMORY_BANK_PREFIX}${character}:${chatId}`;
+    const data = getCompressionData();
+
+    try {
+        if (!data?.summary) {
+            await runVectorStoreRequest('readwrite', store => store.delete(id));
+        } else if (extension_settings[MODULE_NAME].memoryBank) {
+            const existing = await runVectorStoreRequest('readonly', store => store.get(id));
+            await runVectorStoreRequest('readwrite', store => store.put({
+                id: id,
+                character: character,
+                chatId: chatId,
+                summary: data.summary,
+                segments: (data.segments || []).map(s => ({ start: s.start, end: s.end, summary: s.summary })),
+                passages: (data.passages || []).map(p => ({ text: p.text, index: p.index, offset: p.offset || 0 })),
+                vectorStoreId: data.vectorStore?.id || null,
+                compressedUntilIndex: data.compressedUntilIndex || 0,
+                // 按消息编号记录非默认的重要性，其他聊天中无法按身份查找
+                importance: Object.fromEntries((data.messageRecords || [])
+                    .map(r => [r.index, getImportanceValue(data.importance?.[r.key])])
+                    .filter(([, value]) => value !== DEFAULT_IMPORTANCE)),
+                // 是否参与检索由用户在列表中选择，更新时保留
+                enabled: existing?.enabled ?? true,
+                timestamp: Date.now(),
+            }));
+        }
+
+        await renderMemoryBankList();
+    } catch (error) {
+        console.error('[Chat Compressor] 更新长期记忆库失败:', error);
+    }
+}
+
+const updateMemoryBankDebounced = debounce(updateMemoryBank, debounce_timeout.standard);
+
+/**
+ * Get the enabled memory bank entries of other chats with a BM25 index over their summary
+ * segments and passages. Vectors are loaded on first use.
+ * @returns {Promise<Array>} Entries with {lexicalIndex, vectors}
+ */
+async function getMemoryBankEntries() {
+    const chatId = getCurrentChatId();
+    const entries = (await loadMemoryBank(getMemoryBankCharacter())).filter(e => e.enabled && e.chatId !== chatId);
+    const key = entries.map(e => `${e.id}:${e.timestamp}`).join('|');
+    if (memoryBankCache.key === key) return memoryBankCache.entries;
+
+    const indexed = entries.map(entry => {
+        // 摘要段没有对应的单条消息，用负数编号与消息区分
+        const docs = [
+            ...entry.segments.map((segment, i) => ({ text: segment.summary, index: -1 - i })),
+            ...entry.passages,
+        ].filter(doc => doc.text);
+        return { ...entry, lexicalIndex: docs.length ? buildLexicalIndex(docs) : null, vectors: null };
+    });
+
+    memoryBankCache = { key: key, entries: indexed };
+    return indexed;
+}
+
+/**
+ * Retrieve from the memory bank of the current chat's character: the summaries and messages of its
+ * other chats, scored like the current chat. Vectors are scanned in full, without the ANN index.
+ * @param {Array<{text: string, weight: number}>} parts Weighted query parts
+ * @param {function(): Promise<{vector: Float32Array, space: string}|null>} getQueryEmbedding Returns the query embedding, null if unavailable
+ * @returns {Promise<Array>} Hits {text, index, similarity, vectorScore, lexicalScore, importance, recency, bank: {chatId}}
+ */
+async function queryMemoryBank(parts, getQueryEmbedding) {
+    const hits = [];
+
+    for (const entry of await getMemoryBankEntries()) {
+        const lexicalScores = entry.lexicalIndex ? scoreLexical(entry.lexicalIndex, parts) : new Map();
+
+        let vectorScores = null;
+        const embedding = entry.vectorStoreId ? await getQueryEmbedding() : null;
+        if (embedding) {
+            if (!entry.vectors) {
+                const record = await runVectorStoreRequest('readonly', store => store.get(entry.vectorStoreId));
+                entry.vectors = record?.vectors || [];
+            }
+            const comparable = entry.vectors.filter(item => getItemEmbeddingSpace(item) === embedding.space);
+            if (comparable.length > 0) {
+                vectorScores = scoreVectorItems(comparable, embedding.vector);
+            }
+        }
+
+        // 往期聊天都早于当前聊天，新近度记为 0
+        for (const hit of fuseScores(lexicalScores, vectorScores)) {
+            hits.push({ ...hit, importance: entry.importance?.[hit.index] ?? DEFAULT_IMPORTANCE, recency: 0, bank: { chatId: entry.chatId } });
+        }
+    }
+
+    return hits;
+}
+
+/**
+ * Render the memory bank entries of the current character, with their retrieval toggles
+ */
+async function renderMemoryBankList() {
+    const container = $('#chat_compressor_memory_bank_list');
+    const character = getMemoryBankCharacter();
+
+    let entries = [];
+    if (character) {
+        try {
+            entries = await loadMemoryBank(character);
+        } catch (error) {
+            console.error('[Chat Compressor] 读取长期记忆库失败:', error);
+        }
+    }
+
+    container.empty();
+    if (!character) {
+        container.append($('<small>').text('仅单人聊天可用'));
+        return;
+    }
+    if (entries.length === 0) {
+        container.append($('<small>').text('该角色暂无已收集的聊天'));
+        return;
+    }
+
+    const chatId = getCurrentChatId();
+    for (const entry of entries) {
+        const current = entry.chatId === chatId;
+        const label = `${entry.chatId}${current ? '（当前聊天）' : ''} · 已压缩 ${entry.compressedUntilIndex} 条 · ${new Date(entry.timestamp).toLocaleString()}`;
+        container.append($('<div class="chat_compressor_bank_row">').attr('data-id', entry.id).append(
+            $('<input type="checkbox" class="chat_compressor_bank_enabled">')
+                .prop('checked', entry.enabled)
+                .prop('disabled', current)
+                .attr('title', current ? '当前聊天本身的数据照常检索' : '参与检索'),
+            $('<span class="flex1">').text(label),
+            $('<i class="menu_button fa-solid fa-trash chat_compressor_bank_delete" title="从记忆库移除">'),
+        ));
+    }
+}
+
+/**
+ * Include or exclude a memory bank entry from retrieval
+ * @param {string} id Entry ID
+ * @param {boolean} enabled Whether the entry is retrieved from
+ */
+async function setMemoryBankEntryEnabled(id, enabled) {
+    const entry = await runVectorStoreRequest('readonly', store => store.get(id));
+    if (!entry) return;
+    entry.enabled = enabled;
+    await runVectorStoreRequest('readwrite', store => store.put(entry));
+}
+
+const EXPORT_FORMAT = 'chat-compressor';
+const EXPORT_VERSION = 1;
+
+/**
+ * Export the compression data of the current chat (summary, segments, memory, vectors and a
+ * settings snapshot without API keys) to a versioned JSON file
+ */
+async function exportCompressionData() {
+    const data = getCompressionData();
+    if (!data) {
+        toastr.warning('当前聊天没有压缩数据');
+        return;
+    }
+
+    const { vectorStore, vectors: inlineVectors, summaryProgress, ...rest } = data;
+    const vectors = await loadVectors(data);
+    const settings = Object.fromEntries(Object.entries(extension_settings[MODULE_NAME])
+        .filter(([key]) => !/apikey/i.test(key)));
+
+    const exported = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        chatId: getCurrentChatId(),
+        data: rest,
+        // 类型化数组转为普通数组以便写入 JSON
+        vectors: vectors.map(item => ({ ...item, vector: Array.from(item.vector) })),
+        settings: settings,
+    };
+
+    download(JSON.stringify(exported), `${getCurrentChatId()}.compressor.json`, 'application/json');
+    toastr.success(`已导出: ${data.compressedMessageCount || 0} 条消息的摘要，${vectors.length} 条向量`);
+}
+
+/**
+ * Length of the message prefix that the exported records and the current chat have in common
+ * @param {Array} records Exported message records {key, hash, index}
+ * @param {Array} chat Current chat messages
+ * @returns {number} Chat index up to which the compressed messages match
+ */
+function getSharedPrefixLength(records, chat) {
+    const keys = getMessageKeys(chat);
+    for (const record of [...records].sort((a, b) => a.index - b.index)) {
+        const message = chat[record.index];
+        const current = message && getMessageRecord(message, record.index, keys[record.index]);
+        if (!current || current.key !== record.key || current.hash !== record.hash) {
+            return record.index;
+        }
+    }
+    return Infinity;
+}
+
+/**
+ * Keep only segments that end within the limit. Rolled-up segments that cross it are replaced
+ * by their trimmed children; leaves that cross it are dropped.
+ * @param {Array} segments Segments
+ * @param {number} limit Chat index the segments may reach
+ * @returns {Array} Trimmed segments
+ */
+function trimSegments(segments, limit) {
+    const trimmed = [];
+    for (const segment of segments) {
+        if (segment.end <= limit) {
+            trimmed.push(segment);
+        } else if (segment.start < limit && segment.children?.length) {
+            trimmed.push(...trimSegments(segment.children, limit));
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Import exported compression data into the current chat. If the chat only shares a prefix
+ * with the exported one (e.g. a branch), everything beyond the shared prefix is dropped.
+ * @param {File} file Exported JSON file
+ */
+async function importCompressionData(file) {
+    if (rejectWhileCompressing()) return;
+
+    // 读取文件和写入向量期间可能切换聊天，此时放弃导入，避免写入其他聊天
+    const chatId = getCurrentChatId();
+    const chatChanged = () => {
+        if (getCurrentChatId() === chatId) return false;
+        toastr.warning('导入期间切换了聊天，已取消导入');
+        return true;
+    };
+
+    let exported;
+    try {
+        exported = JSON.parse(await file.text());
+    } catch (error) {
+        toastr.error('无法解析导入文件');
+        return;
+    }
+    if (chatChanged()) return;
+
+    if (exported?.format !== EXPORT_FORMAT || !exported.data) {
+        toastr.error('不是 Chat Compressor 导出的文件');
+        return;
+    }
+    if (exported.version > EXPORT_VERSION) {
+        toastr.error(`导入文件版本 (${exported.version}) 高于插件支持的版本，请先更新插件`);
+        return;
+    }
+
+    const existingData = getCompressionData();
+    if (existingData && !confirm('当前聊天已有压缩数据，导入会覆盖它。确定继续吗？')) {
+        return;
+    }
+
+    const chat = getContext().chat || [];
+    const data = { ...exported.data, summaryProgress: null };
+    let vectors = exported.vectors || [];
+    const compressedUntilIndex = data.compressedUntilIndex || 0;
+
+    // 分支聊天: 只保留与当前聊天相同的前缀部分
+    const sharedLength = Array.isArray(data.messageRecords)
+        ? getSharedPrefixLength(data.messageRecords, chat)
+        : (chat.length >= compressedUntilIndex ? Infinity : chat.length);
+    let notice = '';
+
+    if (sharedLength < compressedUntilIndex) {
+        data.segments = trimSegments(data.segments || [], sharedLength);
+        const limit = data.segments.length > 0 ? data.segments[data.segments.length - 1].end : 0;
+        if (limit === 0) {
+            toastr.warning('导入的数据与当前聊天没有可共用的已压缩消息');
+            return;
+        }
+
+        data.summary = joinSegments(data.segments);
+        data.compressedUntilIndex = limit;
+        data.messageRecords = (data.messageRecords || []).filter(r => r.index < limit);
+        data.passages = (data.passages || []).filter(p => p.index < limit);
+        data.pendingVectorIndices = (data.pendingVectorIndices || []).filter(i => i < limit);
+        data.compressedMessageCount = getMessageEntries(chat, range(0, limit)).length;
+        vectors = vectors.filter(v => v.index < limit);
+        notice = `与当前聊天共有前 ${limit} 条消息，之后的部分已舍弃（人物与设定记忆未裁剪，请自行检查）`;
+    }
+
+    // 重新写入当前聊天的向量库，按当前设置的精度编码
+    await deleteVectors(existingData);
+    if (chatChanged()) return;
+    delete data.vectors;
+    delete data.vectorStore;
+    if (vectors.length > 0) {
+        await storeVectors(data, vectors);
+        if (chatChanged()) return;
+    }
+
+    data.timestamp = Date.now();
+    setCompressionData(data);
+    renderSegmentList(true);
+    renderMemoryTable(true);
+    updateStatusDisplay();
+
+    // 维度要等查询时才知道，这里只比较服务和模型
+    const spacePrefix = `${getEmbeddingProviderKey()}:${getEmbeddingProvider().getModel(extension_settings[MODULE_NAME])}:`;
+    if (vectors.some(v => !getItemEmbeddingSpace(v).startsWith(spacePrefix))) {
+        toastr.warning('导入的部分向量与当前 Embedding 设置不一致，检索时会被跳过');
+    }
+    toastr.success(notice || `已导入 ${data.compressedMessageCount || 0} 条消息的压缩数据`, '导入完成');
+}
+
+/**
+ * Format a chat message for injection
+ * @param {object} message Chat message
+ * @returns {string} "name: text"
+ */
+function formatMessage(message) {
+    return `${message.name}: ${message.mes}`;
+}
+
+/**
+ * Expand retrieved hits into windows of neighbouring messages from the live chat.
+ * Overlapping or adjacent windows are merged; a window's score is its best hit.
+ * @param {Array} results Retrieved hits {text, index, similarity}
+ * @param {Array} chat Chat messages
+ * @param {number} radius Messages to include on each side of a hit
+ * @param {number} maxIndex Last chat index that may be pulled in
+ * @returns {Array<{start: number, end: number, score: number, hits: Array}>} Windows sorted chronologically
+ */
+function buildContextWindows(results, chat, radius, maxIndex) {
+    const windows = results
+        .map(r => ({
+            start: Math.max(0, r.index - radius),
+            end: Math.max(r.index, Math.min(maxIndex, r.index + radius)),
+            score: r.rankScore ?? r.similarity,
+            hits: [r],
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const window of windows) {
+        const last = merged[merged.length - 1];
+        if (last && window.start <= last.end + 1) {
+            last.end = Math.max(last.end, window.end);
+            last.score = Math.max(last.score, window.score);
+            last.hits.push(...window.hits);
+        } else {
+            merged.push(window);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Get the injected text of a retrieved hit, marking hits from other chats
+ * @param {object} hit Retrieved hit
+ * @returns {string} Hit text
+ */
+function getHitText(hit) {
+    return hit.bank ? `[往期聊天] ${hit.text}` : hit.text;
+}
+
+/**
+ * Get the injected text of a context window
+ * @param {object} window Window from buildContextWindows()
+ * @param {Array} chat Chat messages
+ * @returns {string} Window text
+ */
+function getWindowText(window, chat) {
+    if (window.start < 0) return window.hits.map(getHitText).join('\n');
+
+    const lines = [];
+    for (let i = window.start; i <= window.end; i++) {
+        const m = chat[i];
+        if (m && !m.is_system && m.mes) lines.push(formatMessage(m));
+    }
+    // 消息已不在聊天中时退回到检索到的分块文本
+    return lines.length > 0 ? lines.join('\n') : window.hits.map(h => h.text).join('\n');
+}
+
+/**
+ * Build the {{retrieved}} block. With context expansion or a token budget, hits are expanded into
+ * neighbouring-message windows; the lowest-scoring windows are dropped first to fit the budget
+ * and the rest are ordered chronologically.
+ * @param {Array} results Retrieved hits
+ * @param {number} budget Token budget, Infinity for no limit
+ * @returns {Promise<string>} Retrieved text
+ */
+async function buildRetrievedText(results, budget) {
+    const radius = Math.max(0, extension_settings[MODULE_NAME].contextExpansion);
+    const limited = Number.isFinite(budget);
+
+    if (radius === 0 && !limited) {
+        return results.map(getHitText).join('\n\n');
+    }
+
+    const chat = getContext().chat || [];
+    const compressedUntilIndex = getCompressionData()?.compressedUntilIndex || chat.length;
+    // 只扩展到已压缩的范围，未压缩的消息本身就在提示词里
+    const maxIndex = Math.min(chat.length, compressedUntilIndex) - 1;
+    // 往期聊天的命中不扩展，排在当前聊天之前
+    const windows = [
+        ...results.filter(r => r.bank).map(r => ({ start: -1, end: -1, score: r.rankScore ?? r.similarity, hits: [r] })),
+        ...buildContextWindows(results.filter(r => !r.bank), chat, radius, maxIndex),
+    ];
+
+    // 按分数从高到低放入预算，超出预算的窗口跳过
+    const selected = [];
+    let usedTokens = 0;
+    for (const window of [...windows].sort((a, b) => b.score - a.score)) {
+        const text = getWindowText(window, chat);
+        const tokens = limited ? await getTokenCountAsync(text) : 0;
+        if (limited && usedTokens + tokens > budget) {
+            console.log(`[Chat Compressor] 检索片段 ${window.start}-${window.end} (${tokens} tokens) 超出预算，已跳过`);
+            continue;
+        }
+        usedTokens += tokens;
+        selected.push({ ...window, text: text });
+    }
+
+    return selected
+        .sort((a, b) => a.start - b.start)
+        .map(w => w.text)
+        .join('\n...\n');
+}
+
+/**
+ * Fill the injection template placeholders
+ * @param {string} template Injection template
+ * @param {Object<string, string>} values Placeholder values by name
+ * @returns {string} Injection text
+ */
+function renderInjectionTemplate(template, values) {
+    // 用函数替换，避免内容里的 $& 等被当作替换模式
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => key in values ? values[key] : match);
+}
+
+/**
+ * Count tokens of the recent messages that are kept in the prompt
+ * @returns {Promise<number>} Token count
+ */
+async function countRecentMessageTokens() {
+    const chat = getContext().chat || [];
+    const keepRecent = extension_settings[MODULE_NAME].keepRecentMessages;
+    // slice(-0) 会返回整个聊天
+    if (!(keepRecent > 0)) return 0;
+
+    const text = chat.slice(-keepRecent)
+        .filter(m => !m.is_system && m.mes)
+        .map(formatMessage)
+        .join('\n');
+    return text ? await getTokenCountAsync(text) : 0;
+}
+
+/**
+ * Build and inject the compression prompt
+ * @param {Array<{text: string, weight: number}>} queryParts Retrieval query built from the recent conversation
+ */
+async function injectCompressionPrompt(queryParts) {
+    const settings = extension_settings[MODULE_NAME];
+
+    if (!settings.enabled) {
+        setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
+        return;
+    }
+
+    const data = getCompressionData();
+    const retrievable = hasRetrievableData(data) || isMemoryBankActive();
+    // 没有摘要的聊天也可以只注入置顶内容和长期记忆库的检索结果
+    if (!data?.summary && !data?.pins?.length && !isMemoryBankActive()) {
+        return;
+    }
+
+    const template = settings.injectionTemplate;
+    // 人物设定和置顶内容不参与预算裁剪
+    const fixedTexts = { ...getMemoryTexts(data || {}), pinned: getPinnedText(data) };
+    const segments = data?.segments?.length ? data.segments
+        : data?.summary ? [createSegment(0, data.compressedUntilIndex || 0, data.summary)] : [];
+    let summaryText;
+    let retrievedBudget = settings.retrievedTokenBudget > 0 ? settings.retrievedTokenBudget : Infinity;
+    let budgetInfo = null;
+
+    // Token 预算模式: 最近消息优先，其次摘要，剩余给检索片段
+    if (settings.tokenBudgetMode) {
+        const recentTokens = await countRecentMessageTokens();
+        const templateTokens = await getTokenCountAsync(template.replace(/\{\{\w+\}\}/g, ''));
+        const memoryText = Object.keys(fixedTexts).filter(key => template.includes(`{{${key}}}`)).map(key => fixedTexts[key]).join('\n');
+        const memoryTokens = memoryText.trim() ? await getTokenCountAsync(memoryText) : 0;
+        let remaining = Math.max(0, settings.totalTokenBudget - recentTokens - templateTokens - memoryTokens);
+
+        summaryText = await selectSummaryDetail(segments, remaining, getTokenCountAsync);
+        const summaryTokens = await getTokenCountAsync(summaryText);
+        remaining = Math.max(0, remaining - summaryTokens);
+        retrievedBudget = Math.min(retrievedBudget, remaining);
+
+        budgetInfo = { budget: settings.totalTokenBudget, recent: recentTokens, template: templateTokens, memory: memoryTokens, summary: summaryTokens, retrieved: 0 };
+    } else {
+        // 在总摘要长度限制内选择尽可能详细的摘要层级
+        summaryText = await selectSummaryDetail(segments, settings.maxTotalSummaryLength, text => text.length);
+    }
+
+    // Query for relevant content (only if we have passages or vectors)
+    let retrievedText = '';
+    if (queryParts.length > 0 && retrievable && retrievedBudget > 0) {
+        try {
+            if (settings.queryRewrite) {
+                queryParts = await rewriteQuery(queryParts);
+            }
+
+            const retrieved = await queryVectors(queryParts);
+
+            // 更新 UI 显示
+            updateRetrievedDisplay(retrieved, getQueryText(queryParts));
+
+            // 已置顶的消息不再重复注入
+            const pinnedKeys = new Set((data?.pins || []).map(p => p.key).filter(key => key !== null));
+            const keys = getMessageKeys(getContext().chat || []);
+            const unpinned = (retrieved || []).filter(r => r.bank || keys[r.index] === undefined || !pinnedKeys.has(keys[r.index]));
+
+            if (unpinned.length > 0) {
+                retrievedText = await buildRetrievedText(unpinned, retrievedBudget);
+                console.log(`[Chat Compressor] 检索到 ${unpinned.length} 条相关历史，注入长度: ${retrievedText.length}`);
+            } else {
+                console.log('[Chat Compressor] 未检索到相关历史');
+            }
+        } catch (error) {
+            console.error('[Chat Compressor] 检索失败:', error);
+            updateRetrievedDisplay([], getQueryText(queryParts));
+        }
+    } else if (!retrievable) {
+        console.log('[Chat Compressor] 当前聊天没有可检索的数据，仅使用摘要');
+        updateRetrievedDisplay(null, getQueryText(queryParts));
+    } else if (retrievedBudget <= 0) {
+        console.log('[Chat Compressor] Token 预算已用完，跳过检索');
+    }
+
+    // Build injection text using template
+    const injectionText = renderInjectionTemplate(template, {
+        summary: summaryText,
+        retrieved: retrievedText || '(无相关历史片段)',
+        characters: fixedTexts.characters,
+        facts: fixedTexts.facts,
+        pinned: fixedTexts.pinned || '(无置顶内容)',
+    });
+
+    if (budgetInfo) {
+        budgetInfo.retrieved = retrievedText ? await getTokenCountAsync(retrievedText) : 0;
+        setBudgetBreakdown(budgetInfo);
+    }
+
+    // Inject using ST's extension prompt system
+    const position = settings.position;
+    const depth = settings.depth;
+
+    setExtensionPrompt(EXTENSION_PROMPT_TAG, injectionText, position, depth, false, extension_prompt_roles.SYSTEM);
+
+    console.log('[Chat Compressor] 已注入压缩数据');
+}
+
+/**
+ * Identity keys of all compressed messages
+ * @param {object} data Compression data
+ * @returns {Set<number>} Message keys
+ */
+function getCompressedKeys(data) {
+    if (Array.isArray(data.messageRecords)) {
+        return new Set(data.messageRecords.map(r => r.key));
+    }
+
+    // 旧数据尚未建立身份记录时按位置判断
+    const chat = getContext().chat || [];
+    return new Set(getMessageKeys(chat).slice(0, data.compressedUntilIndex || 0));
+}
+
+/**
+ * Handle older messages that are neither compressed nor among the recent messages:
+ * warn once per gap, or queue a background compression to run after this generation.
+ * @param {number} gapCount Number of unsummarized older messages
+ * @param {number} [gapStartKey] Identity key of the first unsummarized message
+ */
+function handleUncompressedGap(gapCount, gapStartKey) {
+    if (gapCount <= 0) {
+        if (lastGapWarning) {
+            lastGapWarning = '';
+            setStatusNote('');
+        }
+        return;
+    }
+
+    if (extension_settings[MODULE_NAME].gapAction === 'compress') {
+        gapCompressQueued = true;
+        console.log(`[Chat Compressor] 有 ${gapCount} 条旧消息未压缩，生成结束后自动补压缩`);
+        return;
+    }
+
+    const message = `有 ${gapCount} 条较早的消息尚未压缩，仍会发送给模型`;
+    setStatusNote(message);
+
+    // 空档随新消息增长，按起点识别同一个空档，只弹出一次提示，之后只更新状态栏
+    const warningKey = `${getCurrentChatId()}:${gapStartKey}`;
+    if (warningKey === lastGapWarning) return;
+    lastGapWarning = warningKey;
+
+    console.warn(`[Chat Compressor] ${message}`);
+    toastr.warning(`${message}。可点击「压缩聊天记录」补齐摘要`, 'Chat Compressor');
+}
+
+/**
+ * Generation interceptor - removes compressed messages from the prompt.
+ * Only messages covered by the stored compression data are removed; uncompressed messages stay.
+ */
+globalThis.chatCompressorInterceptor = function(chat, contextSize, abort, type) {
+    if (!extension_settings[MODULE_NAME]?.enabled || !extension_settings[MODULE_NAME]?.hideCompressedMessages) {
+        return;
+    }
+
+    const data = getCompressionData();
+    if (!data || !data.summary) {
+        return;
+    }
+
+    const compressedKeys = getCompressedKeys(data);
+    const keepRecent = extension_settings[MODULE_NAME].keepRecentMessages;
+    const keys = getMessageKeys(chat);
+    // 最近的 keepRecent 条消息始终保留，即使身份键与已压缩消息相同
+    const olderCount = Math.max(0, chat.length - keepRecent);
+    let removeCount = 0;
+
+    for (let i = olderCount - 1; i >= 0; i--) {
+        if (compressedKeys.has(keys[i])) {
+            chat.splice(i, 1);
+            keys.splice(i, 1);
+            removeCount++;
+        }
+    }
+
+    // 最近消息之前仍未压缩的消息即为空档
+    const gapIndices = range(0, olderCount - removeCount).filter(i => !chat[i].is_system);
+    handleUncompressedGap(removeCount > 0 ? gapIndices.length : 0, keys[gapIndices[0]]);
+
+    console.log(`[Chat Compressor] 拦截器已移除 ${removeCount} 条已压缩的消息，保留 ${chat.length} 条`);
+};
+
+/**
+ * Get the stable identity key of a chat message. It survives edits (send date and speaker do not
+ * change), unlike the message's position in the chat. Swipes change the send date; see onMessageSwiped().
+ * @param {object} message Chat message
+ * @returns {number} Message key
+ */
+function getMessageKey(message) {
+    return getStringHash(`${message.send_date}|${message.name}|${Boolean(message.is_user)}`);
+}
+
+/**
+ * Get the identity keys of a list of chat messages. Messages that share send date and speaker
+ * (imported chats, or messages without a send date) are told apart by their occurrence;
+ * the first occurrence keeps the plain key from getMessageKey().
+ * @param {Array} messages Chat messages in chat order
+ * @returns {Array<number>} Message keys, by position
+ */
+function getMessageKeys(messages) {
+    const occurrences = new Map();
+    return messages.map(message => {
+        const key = getMessageKey(message);
+        const count = occurrences.get(key) || 0;
+        occurrences.set(key, count + 1);
+        return count === 0 ? key : getStringHash(`${key}#${count}`);
+    });
+}
+
+/**
+ * Build the identity record of a compressed message
+ * @param {object} message Chat message
+ * @param {number} index Current chat index
+ * @param {number} key Message key from getMessageKeys()
+ * @returns {{key: number, hash: number, index: number}} Record with identity key, content hash and last known index
+ */
+function getMessageRecord(message, index, key) {
+    return {
+        key: key,
+        hash: getStringHash(message.mes || ''),
+        index: index,
+    };
+}
+
+/**
+ * Re-map a list of segments after messages moved. A boundary moves to the new index of the
+ * first surviving message at or after it; segments containing changed messages are marked stale.
+ * @param {Array} segments Segments (modified in place)
+ * @param {function(number): number} mapBoundary Old boundary index to new boundary index
+ * @param {function(number, number): boolean} hasChanges Whether an old [start, end) range contains edited/deleted messages
+ */
+function remapSegments(segments, mapBoundary, hasChanges) {
+    for (const segment of segments) {
+        if (hasChanges(segment.start, segment.end)) {
+            segment.stale = true;
+        }
+        segment.start = mapBoundary(segment.start);
+        segment.end = mapBoundary(segment.end);
+        remapSegments(segment.children || [], mapBoundary, hasChanges);
+    }
+}
+
+/**
+ * Bring compression data in line with the chat after messages were edited, deleted or swiped.
+ * Compressed messages are tracked by identity; their positions, vector and passage indices and
+ * segment ranges are re-mapped. Vectors of edited messages are queued for re-embedding and
+ * segments covering edited or deleted messages are marked stale.
+ */
+async function reconcileCompressionData() {
+    const data = getCompressionData();
+    const chat = getContext().chat;
+    // 压缩进行中时跳过，压缩结束后的下一次编辑或切换聊天会再次校正
+    if (!data || !chat || isCompressing) return;
+
+    const compressedUntilIndex = data.compressedUntilIndex || 0;
 
-    const compressed = await generateRaw({
-        prompt: prompt,
-        systemPrompt: '你是摘要压缩助手，将长摘要精简为更短的版本，保留核心信息。',
+    const keys = getMessageKeys(chat);
+
+    // 旧数据没有身份记录时，以当前聊天为准初始化
+    if (!Array.isArray(data.messageRecords)) {
+        if (compressedUntilIndex > 0) {
+            data.messageRecords = chat.slice(0, compressedUntilIndex).map((m, i) => getMessageRecord(m, i, keys[i]));
+            setCompressionData(data);
+        }
+        return;
+    }
+
+    // 当前聊天中每个身份键对应的位置（按顺序分配，兼容重复键）
+    const positions = new Map();
+    keys.forEach((key, i) => {
+        if (!positions.has(key)) positions.set(key, []);
+        positions.get(key).push(i);
     });
 
-    return compressSummaryText(compressed);
+    const indexMap = new Map();  // 旧索引 → 新索引
+    const changed = new Set();  // 被编辑或删除的旧索引
+    const edited = [];  // 被编辑消息的新索引
+    const records = [];
+    let moved = false;
+
+    for (const record of [...data.messageRecords].sort((a, b) => a.index - b.index)) {
+        const newIndex = positions.get(record.key)?.shift();
+        if (newIndex === undefined) {
+            changed.add(record.index);
+            continue;
+        }
+
+        const current = getMessageRecord(chat[newIndex], newIndex, keys[newIndex]);
+        if (current.hash !== record.hash) {
+            changed.add(record.index);
+            edited.push(newIndex);
+        }
+        if (newIndex !== record.index) moved = true;
+
+        indexMap.set(record.index, newIndex);
+        records.push(current);
+    }
+
+    if (!moved && changed.size === 0) return;
+
+    const survivors = records.map(r => r.index);
+    const newCompressedUntilIndex = survivors.length > 0 ? Math.max(...survivors) + 1 : 0;
+    const oldIndices = [...indexMap.keys()].sort((a, b) => a - b);
+    const mapBoundary = (oldIndex) => {
+        const next = oldIndices.find(i => i >= oldIndex);
+        return next === undefined ? newCompressedUntilIndex : indexMap.get(next);
+    };
+    const hasChanges = (start, end) => [...changed].some(i => i >= start && i < end);
+    const isKept = (index) => indexMap.has(index) && !changed.has(index);
+
+    console.log(`[Chat Compressor] 检测到已压缩消息变化: ${changed.size - edited.length} 条删除, ${edited.length} 条编辑`);
+
+    // 向量和关键词文档: 删除/编辑的丢弃，其余更新索引；编辑过的消息重新生成关键词文档并排队重新向量化
+    const remapItem = item => ({ ...item, index: indexMap.get(item.index) });
+    const usesVectors = Boolean(getVectorCount(data) || data.pendingVectorIndices?.length);
+    const vectors = (await loadVectors(data)).filter(v => isKept(v.index)).map(remapItem);
+    if (getCompressionData() !== data) return;  // 加载期间已切换聊天
+    if (data.passages) {
+        data.passages = [
+            ...data.passages.filter(p => isKept(p.index)).map(remapItem),
+            ...chunkMessages(getMessageEntries(chat, edited)),
+        ].sort((a, b) => a.index - b.index || a.offset - b.offset);
+    }
+    data.pendingVectorIndices = [
+        ...(data.pendingVectorIndices || []).filter(i => indexMap.has(i)).map(i => indexMap.get(i)),
+        ...(usesVectors ? edited : []),
+    ].filter((i, pos, list) => list.indexOf(i) === pos).sort((a, b) => a - b);
+
+    remapSegments(data.segments || [], mapBoundary, hasChanges);
+    data.summary = joinSegments(data.segments || []);
+
+    if (data.importance) {
+        const keys = new Set(records.map(r => String(r.key)));
+        data.importance = Object.fromEntries(Object.entries(data.importance).filter(([key]) => keys.has(key)));
+    }
+
+    data.messageRecords = records;
+    data.compressedUntilIndex = newCompressedUntilIndex;
+    data.summaryProgress = null;  // 中断的分块进度按旧索引记录，直接作废
+    data.compressedMessageCount = getMessageEntries(chat, survivors).length;
+    data.timestamp = Date.now();
+
+    if (usesVectors) {
+        await storeVectors(data, vectors);
+    }
+    setCompressionData(data);
+    updateStatusDisplay();
+    renderSegmentList(true);
+
+    if (edited.length > 0 && usesVectors) {
+        resumeVectorizationInBackground();
+    }
 }
 
 /**
- * Compress the summary text to reduce token usage
- * @param {string} text The summary text to compress
- * @returns {string} Compressed text
+ * Re-embed queued messages in the background if nothing else is running.
+ * Otherwise they are picked up by the next compression.
  */
-function compressSummaryText(text) {
-    if (!text) return text;
+async function resumeVectorizationInBackground() {
+    const data = getCompressionData();
+    if (isCompressing || isGenerating || !data?.pendingVectorIndices?.length) return;
+    if (extension_settings[MODULE_NAME].skipVectorize || getEmbeddingConfigError()) return;
 
-    let result = text;
+    isCompressing = true;
+    try {
+        await resumeVectorization(data, true, getCurrentChatId());
+    } catch (error) {
+        console.error('[Chat Compressor] 重新向量化失败:', error);
+    } finally {
+        isCompressing = false;
+    }
+}
 
-    result = result.replace(/\n+/g, ';');
-    result = result.replace(/\s+/g, ' ');
-    result = result.replace(/\s*;\s*/g, ';');
-    result = result.replace(/\s*:\s*/g, ':');
-    result = result.replace(/\s+,/g, ',');
-    result = result.replace(/;+/g, ';');
-    result = result.replace(/^;+|;+$/g, '');
-    result = result.replace(/\*+/g, '');
-    result = result.replace(/#+\s*/g, '');
-    result = result.replace(/_+/g, '');
-    result = result.replace(/["""'']/g, '');
-    result = result.replace(/\(\s*\)/g, '');
-    result = result.replace(/\[\s*\]/g, '');
+const reconcileCompressionDataDebounced = debounce(reconcileCompressionData, debounce_timeout.short);
 
-    return result.trim();
+/**
+ * Handle a swipe. ST gives the swiped message the send date of the new swipe, so a compressed
+ * message would look deleted; move its record, importance and pins to the new identity instead.
+ * The content change is then handled like an edit by reconcileCompressionData().
+ * @param {number} messageId Chat index of the swiped message
+ */
+function onMessageSwiped(messageId) {
+    const data = getCompressionData();
+    const chat = getContext().chat || [];
+    const index = Number(messageId);
+    const record = data?.messageRecords?.find(r => r.index === index);
+
+    if (record && chat[index] && !isCompressing) {
+        const oldKey = record.key;
+        const newKey = getMessageKeys(chat)[index];
+        if (newKey !== oldKey) {
+            record.key = newKey;
+            if (data.importance?.[oldKey]) {
+                data.importance[newKey] = data.importance[oldKey];
+                delete data.importance[oldKey];
+            }
+            if (data.pins) {
+                data.pins = data.pins.map(pin => pin.key === oldKey ? { ...pin, key: newKey } : pin);
+            }
+            setCompressionData(data);
+        }
+    }
+
+    reconcileCompressionDataDebounced();
 }
 
 /**
- * Generate a summary for the given messages
- * @param {Array} messages Messages to summarize
- * @returns {Promise<string>} Summary text
+ * Handle chat changed event
  */
-async function generateSummary(messages) {
-    const chatText = messages.map(m => `${m.name}:${m.mes}`).join('\n');
+async function onChatChanged() {
+    // 切换聊天时进行中的生成可能不会触发结束事件，这里复位，排队的自动压缩改为检查新聊天
+    isGenerating = false;
+    gapCompressQueued = false;
+    currentSpeaker = '';
+    lastRetrieved = { results: [], query: '' };
+    renderRetrievedList();
+    statusNote = '';
+    budgetBreakdown = null;
+    renderMemoryTable(true);
+    updateStatusDisplay();
+    setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
 
-    const promptTemplate = extension_settings[MODULE_NAME].summaryPrompt;
-    const maxWords = extension_settings[MODULE_NAME].summaryMaxWords;
-    const prompt = substituteParamsExtended(promptTemplate, { words: maxWords });
+    $('#chat_compressor_use_memory_bank').prop('checked', Boolean(chat_metadata?.[MEMORY_BANK_TOGGLE_KEY]));
+    await renderMemoryBankList();
 
-    console.log('[Chat Compressor] 准备生成摘要...');
-    console.log('[Chat Compressor] 聊天文本长度:', chatText.length);
+    await syncVectorStore();
+    await reconcileCompressionData();
+    updateMemoryBankDebounced();
+    await runQueuedCompression();
+}
 
-    try {
-        const rawSummary = await generateRaw({
-            prompt: chatText,
-            systemPrompt: prompt,
-        });
+/**
+ * Handle generation started event
+ */
+async function onGenerationStarted(type, options, dryRun) {
+    if (dryRun) return;
 
-        if (!rawSummary) {
-            console.error('[Chat Compressor] API返回空结果');
-            return null;
-        }
+    isGenerating = true;
 
-        const summary = compressSummaryText(rawSummary);
+    const context = getContext();
+    const chat = context.chat;
 
-        console.log('[Chat Compressor] 摘要生成成功');
-        console.log('[Chat Compressor] 原始长度:', rawSummary.length, '压缩后:', summary.length);
+    if (!chat || chat.length === 0) return;
 
-        return summary;
+    // 注入失败时不能抛出，否则生成被中断、不会触发结束事件，isGenerating 会一直保持
+    try {
+        // Build the retrieval query from the latest user message and its recent context
+        const queryParts = buildRetrievalQuery(chat);
+        if (queryParts.length > 0) {
+            await injectCompressionPrompt(queryParts);
+        }
     } catch (error) {
-        console.error('[Chat Compressor] 摘要生成失败:', error);
-        throw error;
+        console.error('[Chat Compressor] 注入压缩数据失败:', error);
     }
 }
 
 /**
- * Vectorize messages using Google AI Embedding API
- * @param {Array} messages Messages to vectorize
- * @param {Function} onProgress Progress callback
- * @param {number} indexOffset Index offset for incremental vectorization
- * @returns {Promise<Array>} Array of {text, vector} objects
+ * Remember which group member is about to speak, for speaker-aware retrieval
+ * @param {number} chId Character index of the drafted member
  */
-async function vectorizeMessages(messages, onProgress, indexOffset = 0) {
-    const vectors = [];
-
-    for (let i = 0; i < messages.length; i++) {
-        const m = messages[i];
-        const text = `${m.name}: ${m.mes}`;
-
-        try {
-            // 截断过长的文本
-            const truncatedText = text.length > 2000 ? text.substring(0, 2000) : text;
-            const vector = await getGoogleEmbedding(truncatedText);
-
-            vectors.push({
-                text: text,
-                vector: vector,
-                index: indexOffset + i,  // 添加偏移量
-            });
+function onGroupMemberDrafted(chId) {
+    currentSpeaker = getContext().characters[chId]?.name || '';
+}
 
-            // 更新进度
-            const progress = Math.round(((i + 1) / messages.length) * 100);
-            if (onProgress) onProgress(progress);
+/**
+ * Handle generation ended/stopped events: run any queued background compression
+ */
+async function onGenerationEnded() {
+    isGenerating = false;
+    await runQueuedCompression();
+}
 
-            console.log(`[Chat Compressor] 向量化进度: ${progress}% (${i + 1}/${messages.length})`);
+/**
+ * Run the background compression queued while a generation was in progress
+ */
+async function runQueuedCompression() {
+    if (gapCompressQueued) {
+        gapCompressQueued = false;
+        autoCompressQueued = false;
+        if (isCompressing) return;
 
-            // 添加小延迟避免 API 限流
-            if (i < messages.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+        try {
+            console.log('[Chat Compressor] 开始补压缩未压缩的旧消息');
+            await compressChat({ background: true });
         } catch (error) {
-            console.error(`[Chat Compressor] 向量化消息 ${i} 失败:`, error);
-            // 继续处理其他消息
+            console.error('[Chat Compressor] 补压缩失败:', error);
+            setStatusNote(`补压缩失败: ${error.message}`);
         }
+        return;
     }
 
-    return vectors;
+    if (autoCompressQueued) {
+        await maybeAutoCompress();
+    }
 }
 
 /**
- * Query vectors for relevant content using local similarity calculation
- * @param {string} query Query text
- * @returns {Promise<Array>} Retrieved messages
+ * Test the selected embedding provider with the current settings
  */
-async function queryVectors(query) {
-    const data = getCompressionData();
-    if (!data || !data.vectors || data.vectors.length === 0) {
-        console.log('[Chat Compressor] 跳过向量查询: 无向量数据');
-        return [];
-    }
+async function testEmbeddingProvider() {
+    const provider = getEmbeddingProvider();
+    const configError = getEmbeddingConfigError();
 
-    const apiKey = extension_settings[MODULE_NAME].googleApiKey;
-    if (!apiKey) {
-        console.log('[Chat Compressor] 跳过向量查询: 未设置 API Key');
-        return [];
+    if (configError) {
+        toastr.warning(configError);
+        return;
     }
 
-    const topK = extension_settings[MODULE_NAME].retrieveCount;
-    const threshold = extension_settings[MODULE_NAME].similarityThreshold;
-
-    console.log(`[Chat Compressor] 正在查询向量，关键词: "${query.substring(0, 50)}..."`);
+    const testToast = toastr.info(`正在测试 ${provider.name} Embedding...`, '请稍候', { timeOut: 0, extendedTimeOut: 0 });
 
     try {
-        // 获取查询文本的向量
-        const queryVector = await getGoogleEmbedding(query.substring(0, 2000));
-
-        // 计算与所有存储向量的相似度
-        const similarities = data.vectors.map(item => ({
-            text: item.text,
-            index: item.index,
-            similarity: cosineSimilarity(queryVector, item.vector),
-        }));
-
-        // 按相似度排序，过滤低于阈值的，取前 topK 个
-        const results = similarities
-            .filter(item => item.similarity >= threshold)
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, topK);
-
-        console.log(`[Chat Compressor] 检索到 ${results.length} 条相关记录`);
-        results.forEach(r => console.log(`  - 相似度 ${r.similarity.toFixed(3)}: ${r.text.substring(0, 50)}...`));
-
-        return results;
+        const { space } = await getEmbedding('test');
+        toastr.clear(testToast);
+        toastr.success(`连接成功！向量空间: ${space}`);
     } catch (error) {
-        console.error('[Chat Compressor] 向量查询错误:', error);
-        return [];
+        toastr.clear(testToast);
+        console.error('[Chat Compressor] Embedding 测试失败:', error);
+        toastr.error('测试失败: ' + error.message);
     }
 }
 
 /**
- * Update the retrieved results display in UI
- * @param {Array} results Retrieved results
- * @param {string} query Query text
+ * Find a segment anywhere in the segment tree
+ * @param {Array} segments Segments to search
+ * @param {string} id Segment ID
+ * @returns {{segment: object, list: Array, index: number}|null} The segment, the array holding it and its position
  */
-function updateRetrievedDisplay(results, query) {
-    if (!extension_settings[MODULE_NAME].showRetrieved) return;
+function findSegment(segments, id) {
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i].id === id) {
+            return { segment: segments[i], list: segments, index: i };
+        }
+        const found = findSegment(segments[i].children || [], id);
+        if (found) return found;
+    }
+    return null;
+}
 
-    const infoElement = $('#chat_compressor_retrieved_info');
-    const contentElement = $('#chat_compressor_retrieved_content');
+/**
+ * Save segment changes and refresh the summary text and UI
+ * @param {object} data Compression data with modified segments
+ */
+function saveSegments(data) {
+    data.summary = joinSegments(data.segments);
+    data.timestamp = Date.now();
+    setCompressionData(data);
+    renderSegmentList(true);
+    updateStatusDisplay();
+}
 
-    if (!results || results.length === 0) {
-        infoElement.html(`查询: "${query.substring(0, 30)}..."<br>结果: 未找到相关内容`);
-        contentElement.val('');
+/**
+ * Render the segment list (the tree of summary segments with their message ranges)
+ * @param {boolean} [force=false] Re-render even if a segment is being edited
+ */
+function renderSegmentList(force = false) {
+    const container = $('#chat_compressor_segment_list');
+    if (!force && container.find('.chat_compressor_segment_editing').length > 0) return;
+
+    container.empty();
+    const segments = getCompressionData()?.segments || [];
+
+    if (segments.length === 0) {
+        container.append($('<small>').text('暂无摘要段'));
         return;
     }
 
-    const timestamp = new Date().toLocaleTimeString();
-    infoElement.html(`
-        <b>查询:</b> "${query.substring(0, 50)}..."<br>
-        <b>结果:</b> ${results.length} 条匹配 | <b>时间:</b> ${timestamp}
-    `);
-
-    const displayText = results.map((r, i) => {
-        const similarity = (r.similarity * 100).toFixed(1);
-        return `[#${i + 1} 相似度: ${similarity}%]\n${r.text}`;
-    }).join('\n\n' + '─'.repeat(40) + '\n\n');
+    const renderLevel = (list, depth) => {
+        for (const segment of list) {
+            const item = $('<div class="chat_compressor_segment">')
+                .attr('data-id', segment.id)
+                .css('margin-left', `${depth * 12}px`)
+                .toggleClass('chat_compressor_segment_locked', Boolean(segment.locked))
+                .toggleClass('chat_compressor_segment_stale', Boolean(segment.stale));
+
+            const rangeText = segment.end > segment.start ? `消息 #${segment.start} - #${segment.end - 1}` : '手动摘要';
+            const levelText = segment.level > 0 ? ` · 第${segment.level}层合并` : '';
+            const header = $('<div class="chat_compressor_segment_header">')
+                .append($('<span>').text(`${rangeText}${levelText}${segment.locked ? ' · 已锁定' : ''}${segment.stale ? ' · 原消息已变更，建议重新生成' : ''}`));
+
+            const actions = $('<div class="chat_compressor_segment_actions">');
+            const addAction = (action, icon, title) => actions.append(
+                $('<i class="menu_button fa-solid">').addClass(icon).attr({ 'data-action': action, title: title }));
+            addAction('view', 'fa-eye', '查看原始消息');
+            addAction('edit', 'fa-pencil', '编辑');
+            addAction('regenerate', 'fa-rotate', segment.children?.length ? '根据下层摘要重新合并' : '根据原始消息重新生成');
+            addAction('lock', segment.locked ? 'fa-lock' : 'fa-lock-open', segment.locked ? '解锁' : '锁定（不会被自动合并改写）');
+            addAction('delete', 'fa-trash', '删除');
+            header.append(actions);
+
+            item.append(header, $('<div class="chat_compressor_segment_text">').text(segment.summary));
+            container.append(item);
+
+            if (segment.children?.length) {
+                renderLevel(segment.children, depth + 1);
+            }
+        }
+    };
 
-    contentElement.val(displayText);
+    renderLevel(segments, 0);
 }
 
 /**
- * Clear all compression data for current chat
+ * Regenerate a segment: leaves from their original messages, rolled-up segments from their children
+ * @param {string} id Segment ID
  */
-async function clearCompressionData() {
-    setCompressionData(null);
-    updateStatusDisplay();
-    setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
+async function regenerateSegment(id) {
+    const chatId = getCurrentChatId();
+    const data = getCompressionData();
+    const found = data && findSegment(data.segments || [], id);
+    if (!found) return;
 
-    toastr.success('压缩数据已清除');
+    const { segment } = found;
+    const toast = toastr.info('正在重新生成摘要段...', '请稍候', { timeOut: 0, extendedTimeOut: 0 });
+
+    // 生成期间占用压缩锁，避免自动压缩在此期间保存旧的摘要段
+    isCompressing = true;
+    try {
+        let newSummary;
+        if (segment.children?.length) {
+            const targetLength = Math.max(100, Math.floor(getSegmentsLength(segment.children) / 2));
+            newSummary = await compressTotalSummary(joinSegments(segment.children), targetLength);
+        } else {
+            const messages = getMessageEntries(getContext().chat, range(segment.start, segment.end)).map(e => e.message);
+            if (messages.length === 0) {
+                toastr.clear(toast);
+                toastr.warning('找不到该摘要段对应的原始消息');
+                return;
+            }
+            newSummary = await generateSummary(messages);
+        }
+
+        toastr.clear(toast);
+
+        if (!newSummary) {
+            toastr.error('摘要生成失败，API返回空结果');
+            return;
+        }
+
+        if (!isSameChat(chatId, false)) return;
+
+        if (extension_settings[MODULE_NAME].summaryPreview && !await confirmSummaryChange(segment.summary, newSummary, '重新生成的摘要段')) {
+            toastr.info('已保留原摘要段');
+            return;
+        }
+
+        if (!isSameChat(chatId, false)) return;
+
+        // 等待期间数据可能已变化，重新读取后再修改
+        const latestData = getCompressionData();
+        const target = latestData && findSegment(latestData.segments || [], id);
+        if (!target) {
+            toastr.warning('该摘要段已不存在，本次结果未保存');
+            return;
+        }
+
+        target.segment.summary = newSummary;
+        target.segment.stale = false;
+        target.segment.timestamp = Date.now();
+        saveSegments(latestData);
+        toastr.success('摘要段已重新生成');
+    } catch (error) {
+        toastr.clear(toast);
+        console.error('[Chat Compressor] 重新生成摘要段失败:', error);
+        toastr.error(`重新生成失败: ${error.message || '未知错误'}`);
+    } finally {
+        isCompressing = false;
+    }
 }
 
 /**
- * Build and inject the compression prompt
- * @param {string} userMessage Latest user message for context
+ * Show the original messages a segment was generated from
+ * @param {object} segment Segment
  */
-async function injectCompressionPrompt(userMessage) {
-    if (!extension_settings[MODULE_NAME].enabled) {
-        setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
-        return;
+async function showSegmentMessages(segment) {
+    const chat = getContext().chat || [];
+    const entries = getMessageEntries(chat, range(segment.start, segment.end));
+
+    const content = $('<div class="chat_compressor_segment_messages">');
+    content.append($('<h3>').text(`消息 #${segment.start} - #${Math.max(segment.start, segment.end - 1)}`));
+    if (entries.length === 0) {
+        content.append($('<p>').text('找不到对应的原始消息'));
     }
-
-    const data = getCompressionData();
-    if (!data || !data.summary) {
-        return;
+    for (const entry of entries) {
+        content.append($('<p>').append($('<b>').text(`#${entry.index} ${entry.message.name}: `), $('<span>').text(entry.message.mes)));
     }
 
-    // Query for relevant content (only if we have vectors)
-    let retrievedText = '';
-    if (userMessage && data.vectors && data.vectors.length > 0) {
-        try {
-            const retrieved = await queryVectors(userMessage);
+    await callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
 
-            // 更新 UI 显示
-            updateRetrievedDisplay(retrieved, userMessage);
+/**
+ * Handle clicks on segment list actions
+ * @param {Event} event Click event
+ */
+async function onSegmentAction(event) {
+    const action = $(event.currentTarget).data('action');
+    const item = $(event.currentTarget).closest('.chat_compressor_segment');
+    const id = item.data('id');
+
+    const data = getCompressionData();
+    const found = data && findSegment(data.segments || [], id);
+    if (!found) return;
 
-            if (retrieved && retrieved.length > 0) {
-                retrievedText = retrieved.map(r => r.text).join('\n\n');
-                console.log(`[Chat Compressor] 检索到 ${retrieved.length} 条相关历史，注入长度: ${retrievedText.length}`);
+    const { segment } = found;
+    if (action !== 'view' && rejectWhileCompressing()) return;
+
+    switch (action) {
+        case 'view':
+            await showSegmentMessages(segment);
+            break;
+        case 'edit': {
+            const textElement = item.children('.chat_compressor_segment_text');
+            if (item.hasClass('chat_compressor_segment_editing')) {
+                segment.summary = textElement.children('textarea').val();
+                segment.stale = false;
+                segment.timestamp = Date.now();
+                saveSegments(data);
+                toastr.success('摘要段已更新');
             } else {
-                console.log('[Chat Compressor] 未检索到相关历史');
+                item.addClass('chat_compressor_segment_editing');
+                textElement.empty().append($('<textarea class="text_pole" rows="4">').val(segment.summary));
+                $(event.currentTarget).removeClass('fa-pencil').addClass('fa-check').attr('title', '保存');
             }
-        } catch (error) {
-            console.error('[Chat Compressor] 检索失败:', error);
-            updateRetrievedDisplay([], userMessage);
+            break;
         }
-    } else if (!data.vectors || data.vectors.length === 0) {
-        console.log('[Chat Compressor] 当前聊天未启用向量化，仅使用摘要');
-        updateRetrievedDisplay(null, userMessage || '');
+        case 'regenerate':
+            await regenerateSegment(id);
+            break;
+        case 'lock':
+            segment.locked = !segment.locked;
+            saveSegments(data);
+            break;
+        case 'delete':
+            await deleteSegment(id);
+            break;
     }
+}
 
-    // Build injection text using template
-    const template = extension_settings[MODULE_NAME].injectionTemplate;
-    let injectionText = template
-        .replace('{{summary}}', data.summary)
-        .replace('{{retrieved}}', retrievedText || '(无相关历史片段)');
+/**
+ * Delete a segment after confirmation. Deleting a segment that covers messages uncompresses them again.
+ * @param {string} id Segment ID
+ */
+async function deleteSegment(id) {
+    const chatId = getCurrentChatId();
+    const data = getCompressionData();
+    const found = data && findSegment(data.segments || [], id);
+    if (!found) return;
 
-    // Inject using ST's extension prompt system
-    const position = extension_settings[MODULE_NAME].position;
-    const depth = extension_settings[MODULE_NAME].depth;
+    const { segment, list, index } = found;
 
-    setExtensionPrompt(EXTENSION_PROMPT_TAG, injectionText, position, depth, false, extension_prompt_roles.SYSTEM);
+    // 删除覆盖消息的摘要段后，这些消息仍被隐藏却没有摘要；只允许删除最新一段并恢复其消息为未压缩
+    const coversMessages = segment.end > segment.start;
+    const isLatest = list === data.segments && index === list.length - 1;
+    if (coversMessages && !isLatest) {
+        toastr.warning('只能删除最新的摘要段，否则其消息会被隐藏却没有摘要。较早的摘要段可以编辑或重新生成');
+        return;
+    }
 
-    console.log('[Chat Compressor] 已注入压缩数据');
+    const notice = coversMessages ? `\n消息 #${segment.start} 起将恢复为未压缩，下次压缩时重新生成摘要` : '';
+    if (!confirm(`确定要删除这个摘要段吗？（包括其下层摘要）${notice}`)) return;
+
+    isCompressing = true;
+    try {
+        const vectors = coversMessages ? await loadVectors(data) : [];
+        if (!isSameChat(chatId, false)) return;
+
+        // 读取向量期间数据可能已变化，重新读取后再修改
+        const latestData = getCompressionData();
+        const target = latestData && findSegment(latestData.segments || [], id);
+        if (!target) return;
+
+        target.list.splice(target.index, 1);
+        if (coversMessages) {
+            uncompressFrom(latestData, segment.start);
+            if (getVectorCount(latestData) > 0) {
+                await storeVectors(latestData, vectors.filter(v => v.index < segment.start));
+                if (!isSameChat(chatId, false)) return;
+            }
+        }
+        saveSegments(latestData);
+    } catch (error) {
+        console.error('[Chat Compressor] 删除摘要段失败:', error);
+        toastr.error(`删除失败: ${error.message || '未知错误'}`);
+    } finally {
+        isCompressing = false;
+    }
 }
 
 /**
- * Generation interceptor - removes compressed messages from the prompt
+ * Mark the messages from a chat index onwards as uncompressed again: they are no longer hidden
+ * by the interceptor and the next compression summarizes them anew. Stored vectors are left to the caller.
+ * @param {object} data Compression data (modified in place, not saved)
+ * @param {number} start First chat index to uncompress
  */
-globalThis.chatCompressorInterceptor = function(chat, contextSize, abort, type) {
-    if (!extension_settings[MODULE_NAME]?.enabled || !extension_settings[MODULE_NAME]?.hideCompressedMessages) {
-        return;
-    }
+function uncompressFrom(data, start) {
+    const chat = getContext().chat || [];
 
-    const data = getCompressionData();
-    if (!data || !data.summary) {
-        return;
+    data.compressedUntilIndex = start;
+    data.compressedMessageCount = getMessageEntries(chat, range(0, start)).length;
+    if (Array.isArray(data.messageRecords)) {
+        data.messageRecords = data.messageRecords.filter(r => r.index < start);
+    }
+    if (data.passages) {
+        data.passages = data.passages.filter(p => p.index < start);
     }
+    data.pendingVectorIndices = (data.pendingVectorIndices || []).filter(i => i < start);
+    data.summaryProgress = null;
+}
 
-    const keepRecent = extension_settings[MODULE_NAME].keepRecentMessages;
+/**
+ * Render the editable memory table. Skipped while the table has unsaved edits unless forced.
+ * @param {boolean} force Re-render even if there are unsaved edits
+ */
+function renderMemoryTable(force = false) {
+    const container = $('#chat_compressor_memory_table');
+    if (!force && container.hasClass('chat_compressor_memory_dirty')) return;
 
-    if (chat.length <= keepRecent) {
-        console.log(`[Chat Compressor] 消息数量 ${chat.length} 不超过保留数量 ${keepRecent}，跳过移除`);
-        return;
-    }
+    container.empty().removeClass('chat_compressor_memory_dirty');
+    const memory = getCompressionData()?.memory || [];
 
-    const removeCount = chat.length - keepRecent;
-    chat.splice(0, removeCount);
+    for (const item of memory) {
+        container.append(createMemoryRow(item));
+    }
 
-    console.log(`[Chat Compressor] 拦截器已移除 ${removeCount} 条已压缩的消息，保留 ${chat.length} 条`);
-};
+    if (memory.length === 0) {
+        container.append($('<small class="chat_compressor_memory_empty">').text('暂无记忆条目'));
+    }
+}
 
 /**
- * Handle chat changed event
+ * Create an editable row of the memory table
+ * @param {{category: string, subject: string, value: string}} item Memory entry
+ * @returns {JQuery} Row element
  */
-function onChatChanged() {
-    updateStatusDisplay();
-    setExtensionPrompt(EXTENSION_PROMPT_TAG, '', extension_prompt_types.IN_PROMPT, 0);
+function createMemoryRow(item) {
+    const select = $('<select class="text_pole chat_compressor_memory_category">');
+    for (const [category, label] of Object.entries(MEMORY_CATEGORIES)) {
+        select.append($('<option>').val(category).text(label));
+    }
+    select.val(item.category);
+
+    return $('<div class="chat_compressor_memory_row">').append(
+        select,
+        $('<input type="text" class="text_pole chat_compressor_memory_subject" placeholder="对象">').val(item.subject),
+        $('<input type="text" class="text_pole chat_compressor_memory_value" placeholder="内容">').val(item.value),
+        $('<i class="menu_button fa-solid fa-trash chat_compressor_memory_delete" title="删除">'),
+    );
 }
 
 /**
- * Handle generation started event
+ * Save the edited memory table into the compression data
  */
-async function onGenerationStarted(type, options, dryRun) {
-    if (dryRun) return;
-
-    const context = getContext();
-    const chat = context.chat;
+function saveMemoryTable() {
+    const data = getCompressionData();
+    if (!data) {
+        toastr.warning('当前聊天没有压缩数据');
+        return;
+    }
 
-    if (!chat || chat.length === 0) return;
+    const rows = $('#chat_compressor_memory_table .chat_compressor_memory_row').toArray().map(row => ({
+        category: $(row).find('.chat_compressor_memory_category').val(),
+        subject: String($(row).find('.chat_compressor_memory_subject').val()).trim(),
+        value: String($(row).find('.chat_compressor_memory_value').val()).trim(),
+    })).filter(item => item.subject);
+
+    // 同类别同对象的条目以最后一条为准
+    data.memory = mergeMemory([], rows);
+    data.timestamp = Date.now();
+    setCompressionData(data);
+    renderMemoryTable(true);
+    toastr.success('记忆已保存');
+}
 
-    // Find the latest user message
-    for (let i = chat.length - 1; i >= 0; i--) {
-        if (chat[i].is_user && chat[i].mes) {
-            await injectCompressionPrompt(chat[i].mes);
-            break;
-        }
+/**
+ * Apply an edit of the whole summary text to the segments.
+ * If the "---" separated sections still line up with the top-level segments, each segment is
+ * updated in place; otherwise the edited text replaces them as one segment.
+ * @param {object} data Compression data
+ * @param {string} newSummary Edited summary text
+ * @returns {Array} Updated top-level segments
+ */
+function applySummaryEdit(data, newSummary) {
+    const segments = data.segments || [];
+    const sections = newSummary.split(SEGMENT_SEPARATOR);
+
+    if (sections.length === segments.length) {
+        return segments.map((segment, i) => segment.summary === sections[i]
+            ? segment
+            : { ...segment, summary: sections[i], timestamp: Date.now() });
     }
+
+    return [createSegment(0, data.compressedUntilIndex || 0, newSummary)];
+}
+
+/**
+ * Refuse summary edits while a compression run is in progress, since the run would overwrite them when it saves
+ * @returns {boolean} True if the edit must be skipped
+ */
+function rejectWhileCompressing() {
+    if (!isCompressing) return false;
+    toastr.warning('正在压缩中，请在压缩完成后再修改摘要');
+    return true;
 }
 
 /**
- * Test Google AI API Key
+ * Save an edited whole summary, creating compression data if the chat has none
+ * @param {string} newSummary Summary text
  */
-async function testApiKey() {
-    const apiKey = $('#chat_compressor_google_api_key').val();
-
-    if (!apiKey) {
-        toastr.warning('请先输入 API Key');
-        return;
-    }
-
-    const testToast = toastr.info('正在测试 API Key...', '请稍候', { timeOut: 0, extendedTimeOut: 0 });
-
-    try {
-        const response = await fetch(`${GOOGLE_EMBEDDING_API}?key=${apiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                content: {
-                    parts: [{ text: 'test' }]
-                }
-            }),
+function saveSummaryText(newSummary) {
+    const data = getCompressionData();
+    if (data) {
+        data.segments = applySummaryEdit(data, newSummary);
+        data.summary = joinSegments(data.segments);
+        data.timestamp = Date.now();
+        setCompressionData(data);
+    } else {
+        setCompressionData({
+            summary: newSummary,
+            segments: [createSegment(0, 0, newSummary)],
+            compressedMessageCount: 0,
+            timestamp: Date.now(),
         });
-
-        toastr.clear(testToast);
-
-        if (response.ok) {
-            toastr.success('API Key 有效！');
-            // 保存 API Key
-            extension_settings[MODULE_NAME].googleApiKey = apiKey;
-            saveSettingsDebounced();
-        } else {
-            const errorText = await response.text();
-            toastr.error(`API Key 无效: ${response.status}`);
-            console.error('[Chat Compressor] API Key 测试失败:', errorText);
-        }
-    } catch (error) {
-        toastr.clear(testToast);
-        toastr.error('测试失败: ' + error.message);
     }
 }
 
@@ -741,7 +4728,7 @@ async function testApiKey() {
  */
 function setupListeners() {
     // Compress button
-    $('#chat_compressor_compress_btn').on('click', compressChat);
+    $('#chat_compressor_compress_btn').on('click', () => compressChat());
 
     // Clear button
     $('#chat_compressor_clear_btn').on('click', async () => {
@@ -750,12 +4737,178 @@ function setupListeners() {
         }
     });
 
-    // Test API Key button
-    $('#chat_compressor_test_api_key').on('click', testApiKey);
+    // Export / import buttons
+    $('#chat_compressor_export_btn').on('click', exportCompressionData);
+    $('#chat_compressor_import_btn').on('click', () => $('#chat_compressor_import_file').trigger('click'));
+    $('#chat_compressor_import_file').on('change', async function() {
+        const file = this.files?.[0];
+        $(this).val('');
+        if (file) {
+            await importCompressionData(file);
+        }
+    });
+
+    // Test embedding provider button
+    $('#chat_compressor_test_api_key').on('click', testEmbeddingProvider);
+
+    // Embedding provider select
+    $('#chat_compressor_embedding_provider').on('change', function() {
+        extension_settings[MODULE_NAME].embeddingProvider = $(this).val();
+        saveSettingsDebounced();
+        updateProviderBlocks();
+    });
+
+    // Embedding provider text inputs
+    const providerInputs = {
+        '#chat_compressor_google_api_key': 'googleApiKey',
+        '#chat_compressor_google_model': 'googleEmbeddingModel',
+        '#chat_compressor_openai_base_url': 'openaiBaseUrl',
+        '#chat_compressor_openai_api_key': 'openaiApiKey',
+        '#chat_compressor_openai_model': 'openaiEmbeddingModel',
+        '#chat_compressor_ollama_base_url': 'ollamaBaseUrl',
+        '#chat_compressor_ollama_model': 'ollamaEmbeddingModel',
+    };
+    for (const [selector, key] of Object.entries(providerInputs)) {
+        $(selector).on('change', function() {
+            extension_settings[MODULE_NAME][key] = String($(this).val()).trim();
+            saveSettingsDebounced();
+        });
+    }
+
+    // Vector quantization: re-encode the current chat right away, other chats on their next save
+    $('#chat_compressor_vector_quantization').on('change', async function() {
+        const previous = extension_settings[MODULE_NAME].vectorQuantization;
+        extension_settings[MODULE_NAME].vectorQuantization = $(this).val();
+        saveSettingsDebounced();
+
+        const data = getCompressionData();
+        if (!data?.vectorStore || data.vectorStore.encoding === extension_settings[MODULE_NAME].vectorQuantization) return;
+
+        const chatId = getCurrentChatId();
+        try {
+            const vectors = await loadVectors(data);
+            if (!isSameChat(chatId, false)) return;
+            await storeVectors(data, vectors);
+            if (!isSameChat(chatId, false)) return;
+            setCompressionData(data);
+            console.log(`[Chat Compressor] 当前聊天的向量已改为 ${data.vectorStore?.encoding} 存储`);
+        } catch (error) {
+            // 转换失败时恢复原设置，已存储的向量仍按原格式读取
+            console.error('[Chat Compressor] 转换向量存储格式失败:', error);
+            toastr.error(`转换向量存储格式失败: ${error.message || '未知错误'}`);
+            extension_settings[MODULE_NAME].vectorQuantization = previous;
+            $(this).val(previous);
+            saveSettingsDebounced();
+        }
+    });
+
+    $('#chat_compressor_ann_threshold').on('change', function() {
+        extension_settings[MODULE_NAME].annThreshold = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_ann_probes').on('change', function() {
+        extension_settings[MODULE_NAME].annProbes = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_benchmark_btn').on('click', async function() {
+        const button = $(this).prop('disabled', true);
+        const output = $('#chat_compressor_benchmark_result').text('正在测试...');
+
+        try {
+            const { source, results } = await runVectorBenchmark();
+            const table = $('<table class="chat_compressor_benchmark">').append(
+                $('<tr>').append(['方式', '每条字节', '每次查询', '召回率@10', '建索引'].map(h => $('<th>').text(h))));
+            for (const result of results) {
+                table.append($('<tr>').append([
+                    result.name,
+                    result.bytes,
+                    `${result.queryMs.toFixed(1)}ms`,
+                    `${(result.recall * 100).toFixed(0)}%`,
+                    result.buildMs ? `${Math.round(result.buildMs)}ms` : '-',
+                ].map(cell => $('<td>').text(cell))));
+            }
+            output.empty().append($('<small>').text(`数据: ${source}`), table);
+        } catch (error) {
+            console.error('[Chat Compressor] 性能测试失败:', error);
+            output.text(`测试失败: ${error.message}`);
+        } finally {
+            button.prop('disabled', false);
+        }
+    });
+
+    // Summary connection
+    $('#chat_compressor_summary_source').on('change', function() {
+        extension_settings[MODULE_NAME].summarySource = $(this).val();
+        saveSettingsDebounced();
+        updateSummarySourceBlocks();
+    });
+
+    // 连接配置可能在其他面板中增删，展开下拉框前刷新列表
+    $('#chat_compressor_summary_profile').on('focus', populateSummaryProfiles);
+    $('#chat_compressor_summary_profile').on('change', function() {
+        extension_settings[MODULE_NAME].summaryProfileId = $(this).val();
+        saveSettingsDebounced();
+    });
+
+    const summaryInputs = {
+        '#chat_compressor_summary_base_url': 'summaryBaseUrl',
+        '#chat_compressor_summary_api_key': 'summaryApiKey',
+        '#chat_compressor_summary_model': 'summaryModel',
+    };
+    for (const [selector, key] of Object.entries(summaryInputs)) {
+        $(selector).on('change', function() {
+            extension_settings[MODULE_NAME][key] = String($(this).val()).trim();
+            saveSettingsDebounced();
+        });
+    }
+
+    $('#chat_compressor_summary_max_tokens').on('change', function() {
+        extension_settings[MODULE_NAME].summaryMaxTokens = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_summary_temperature').on('change', function() {
+        extension_settings[MODULE_NAME].summaryTemperature = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    // Chunked summarization
+    $('#chat_compressor_summary_chunk_tokens').on('change', function() {
+        extension_settings[MODULE_NAME].summaryChunkTokens = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_summary_chunk_carry').on('change', function() {
+        extension_settings[MODULE_NAME].summaryChunkCarry = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    // Summary post-processing
+    $('#chat_compressor_post_process_preset').on('change', function() {
+        extension_settings[MODULE_NAME].postProcessPreset = $(this).val();
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_post_process_rules').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].postProcessRules = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
+
+    // Summary guardrails
+    $('#chat_compressor_summary_retries').on('change', function() {
+        extension_settings[MODULE_NAME].summaryRetries = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_summary_strict_prompt').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].summaryStrictPrompt = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
 
-    // API Key input
-    $('#chat_compressor_google_api_key').on('change', function() {
-        extension_settings[MODULE_NAME].googleApiKey = $(this).val();
+    $('#chat_compressor_summary_preview').on('change', function() {
+        extension_settings[MODULE_NAME].summaryPreview = $(this).prop('checked');
         saveSettingsDebounced();
     });
 
@@ -777,6 +4930,12 @@ function setupListeners() {
         saveSettingsDebounced();
     });
 
+    // Uncompressed gap action
+    $('#chat_compressor_gap_action').on('change', function() {
+        extension_settings[MODULE_NAME].gapAction = $(this).val();
+        saveSettingsDebounced();
+    });
+
     // Show retrieved results checkbox
     $('#chat_compressor_show_retrieved').on('change', function() {
         const isChecked = $(this).prop('checked');
@@ -790,7 +4949,48 @@ function setupListeners() {
         }
     });
 
+    // Auto compress checkbox
+    $('#chat_compressor_auto_compress').on('change', function() {
+        extension_settings[MODULE_NAME].autoCompress = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
     // Number inputs
+    $('#chat_compressor_auto_messages').on('change', function() {
+        extension_settings[MODULE_NAME].autoCompressMessages = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_auto_tokens').on('change', function() {
+        extension_settings[MODULE_NAME].autoCompressTokens = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_chunk_size').on('change', function() {
+        extension_settings[MODULE_NAME].chunkSize = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_chunk_overlap').on('change', function() {
+        extension_settings[MODULE_NAME].chunkOverlap = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_embedding_batch_size').on('change', function() {
+        extension_settings[MODULE_NAME].embeddingBatchSize = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_embedding_concurrency').on('change', function() {
+        extension_settings[MODULE_NAME].embeddingConcurrency = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_embedding_retries').on('change', function() {
+        extension_settings[MODULE_NAME].embeddingMaxRetries = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
     $('#chat_compressor_keep_recent').on('change', function() {
         extension_settings[MODULE_NAME].keepRecentMessages = Number($(this).val());
         saveSettingsDebounced();
@@ -824,6 +5024,114 @@ function setupListeners() {
         saveSettingsDebounced();
     });
 
+    $('#chat_compressor_hybrid_weight').on('input', function() {
+        const value = $(this).val();
+        $('#chat_compressor_hybrid_weight_value').text(value);
+        extension_settings[MODULE_NAME].hybridWeight = Number(value);
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_importance_weight').on('change', function() {
+        extension_settings[MODULE_NAME].importanceWeight = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_recency_weight').on('change', function() {
+        extension_settings[MODULE_NAME].recencyWeight = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_recency_half_life').on('change', function() {
+        extension_settings[MODULE_NAME].recencyHalfLife = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_mmr_diversity').on('input', function() {
+        const value = $(this).val();
+        $('#chat_compressor_mmr_diversity_value').text(value);
+        extension_settings[MODULE_NAME].mmrDiversity = Number(value);
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_rate_importance').on('change', function() {
+        extension_settings[MODULE_NAME].rateImportance = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_importance_prompt').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].importancePrompt = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
+
+    $('#chat_compressor_retrieved_content').on('click', '.chat_compressor_retrieved_star', function() {
+        toggleImportanceStar(Number($(this).data('index')));
+    });
+
+    // Pins
+    $('#chat_compressor_retrieved_content').on('click', '.chat_compressor_retrieved_pin', function() {
+        const result = lastRetrieved.results[Number($(this).data('position'))];
+        const chat = getContext().chat || [];
+        const message = result && !result.bank ? chat[result.index] : null;
+        if (message) {
+            addPin(getMessageKeys(chat)[result.index], formatMessage(message));
+        } else if (result) {
+            addPin(null, getHitText(result));
+        }
+    });
+
+    $(document).on('click', '.chat_compressor_pin_message', function() {
+        const chat = getContext().chat || [];
+        const index = Number($(this).closest('.mes').attr('mesid'));
+        if (chat[index]) {
+            addPin(getMessageKeys(chat)[index], formatMessage(chat[index]));
+        }
+    });
+
+    $('#chat_compressor_pin_list').on('click', '.chat_compressor_segment_actions .menu_button:not(.disabled)', onPinAction);
+
+    $('#chat_compressor_query_decay').on('input', function() {
+        const value = $(this).val();
+        $('#chat_compressor_query_decay_value').text(value);
+        extension_settings[MODULE_NAME].queryRecencyDecay = Number(value);
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_token_budget_mode').on('change', function() {
+        extension_settings[MODULE_NAME].tokenBudgetMode = $(this).prop('checked');
+        saveSettingsDebounced();
+        updateStatusDisplay();
+    });
+
+    $('#chat_compressor_total_token_budget').on('change', function() {
+        extension_settings[MODULE_NAME].totalTokenBudget = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_context_expansion').on('change', function() {
+        extension_settings[MODULE_NAME].contextExpansion = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_retrieved_budget').on('change', function() {
+        extension_settings[MODULE_NAME].retrievedTokenBudget = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_query_messages').on('change', function() {
+        extension_settings[MODULE_NAME].queryMessageCount = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_query_include_char').on('change', function() {
+        extension_settings[MODULE_NAME].queryIncludeCharacter = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_query_rewrite').on('change', function() {
+        extension_settings[MODULE_NAME].queryRewrite = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
     // Select inputs
     $('#chat_compressor_position').on('change', function() {
         extension_settings[MODULE_NAME].position = Number($(this).val());
@@ -836,10 +5144,20 @@ function setupListeners() {
         saveSettingsDebounced();
     }, debounce_timeout.standard));
 
+    $('#chat_compressor_query_rewrite_prompt').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].queryRewritePrompt = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
+
     $('#chat_compressor_injection_template').on('input', debounce(function() {
         extension_settings[MODULE_NAME].injectionTemplate = $(this).val();
         saveSettingsDebounced();
     }, debounce_timeout.standard));
+    $('#chat_compressor_injection_template').on('change', function() {
+        if (extension_settings[MODULE_NAME].extractMemory) {
+            warnMissingMemoryPlaceholders($(this).val());
+        }
+    });
 
     // Edit summary functionality
     let originalSummary = '';
@@ -853,20 +5171,8 @@ function setupListeners() {
     });
 
     $('#chat_compressor_save_summary_btn').on('click', function() {
-        const newSummary = $('#chat_compressor_current_summary').val();
-        const data = getCompressionData();
-        if (data) {
-            data.summary = newSummary;
-            data.timestamp = Date.now();
-            setCompressionData(data);
-        } else {
-            setCompressionData({
-                summary: newSummary,
-                compressedMessageCount: 0,
-                vectors: [],
-                timestamp: Date.now(),
-            });
-        }
+        if (rejectWhileCompressing()) return;
+        saveSummaryText($('#chat_compressor_current_summary').val());
         $('#chat_compressor_current_summary').prop('readonly', true);
         $(this).hide();
         $('#chat_compressor_cancel_edit_btn').hide();
@@ -875,6 +5181,110 @@ function setupListeners() {
         toastr.success('摘要已更新');
     });
 
+    // Segment list actions
+    $('#chat_compressor_segment_list').on('click', '[data-action]', onSegmentAction);
+
+    // Character memory bank
+    $('#chat_compressor_memory_bank').on('change', async function() {
+        extension_settings[MODULE_NAME].memoryBank = $(this).prop('checked');
+        saveSettingsDebounced();
+        if (extension_settings[MODULE_NAME].memoryBank) {
+            await updateMemoryBank().catch(error => console.error('[Chat Compressor] 更新长期记忆库失败:', error));
+        }
+    });
+
+    $('#chat_compressor_memory_bank_count').on('change', function() {
+        extension_settings[MODULE_NAME].memoryBankCount = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_use_memory_bank').on('change', function() {
+        if (!chat_metadata) return;
+        chat_metadata[MEMORY_BANK_TOGGLE_KEY] = $(this).prop('checked');
+        saveMetadataDebounced();
+    });
+
+    $('#chat_compressor_memory_bank_list').on('change', '.chat_compressor_bank_enabled', async function() {
+        const id = $(this).closest('.chat_compressor_bank_row').data('id');
+        try {
+            await setMemoryBankEntryEnabled(id, $(this).prop('checked'));
+        } catch (error) {
+            console.error('[Chat Compressor] 更新长期记忆库失败:', error);
+            toastr.error('更新长期记忆库失败');
+        }
+    });
+
+    $('#chat_compressor_memory_bank_list').on('click', '.chat_compressor_bank_delete', async function() {
+        const id = $(this).closest('.chat_compressor_bank_row').data('id');
+        if (!confirm('确定要把这个聊天从长期记忆库中移除吗？（不影响该聊天本身的压缩数据）')) return;
+        try {
+            await runVectorStoreRequest('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('[Chat Compressor] 删除长期记忆库记录失败:', error);
+            toastr.error('删除失败');
+        }
+        await renderMemoryBankList();
+    });
+
+    // Group chat options
+    $('#chat_compressor_group_summary').on('change', function() {
+        extension_settings[MODULE_NAME].groupSummaryByCharacter = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_group_summary_prompt').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].groupSummaryPrompt = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
+
+    $('#chat_compressor_group_boost').on('change', function() {
+        extension_settings[MODULE_NAME].groupSpeakerBoost = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_group_witnessed').on('change', function() {
+        extension_settings[MODULE_NAME].groupWitnessedOnly = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+
+    $('#chat_compressor_group_witness_window').on('change', function() {
+        extension_settings[MODULE_NAME].groupWitnessWindow = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
+    // Memory extraction
+    $('#chat_compressor_extract_memory').on('change', function() {
+        extension_settings[MODULE_NAME].extractMemory = $(this).prop('checked');
+        saveSettingsDebounced();
+        if (extension_settings[MODULE_NAME].extractMemory) {
+            warnMissingMemoryPlaceholders(extension_settings[MODULE_NAME].injectionTemplate);
+        }
+    });
+
+    $('#chat_compressor_memory_prompt').on('input', debounce(function() {
+        extension_settings[MODULE_NAME].memoryPrompt = $(this).val();
+        saveSettingsDebounced();
+    }, debounce_timeout.standard));
+
+    // Memory table
+    $('#chat_compressor_memory_table').on('input change', 'input, select', function() {
+        $('#chat_compressor_memory_table').addClass('chat_compressor_memory_dirty');
+    });
+
+    $('#chat_compressor_memory_table').on('click', '.chat_compressor_memory_delete', function() {
+        $(this).closest('.chat_compressor_memory_row').remove();
+        $('#chat_compressor_memory_table').addClass('chat_compressor_memory_dirty');
+    });
+
+    $('#chat_compressor_memory_add_btn').on('click', function() {
+        const table = $('#chat_compressor_memory_table');
+        table.find('.chat_compressor_memory_empty').remove();
+        table.addClass('chat_compressor_memory_dirty').append(createMemoryRow({ category: 'character', subject: '', value: '' }));
+    });
+
+    $('#chat_compressor_memory_save_btn').on('click', saveMemoryTable);
+    $('#chat_compressor_memory_revert_btn').on('click', () => renderMemoryTable(true));
+
     $('#chat_compressor_cancel_edit_btn').on('click', function() {
         $('#chat_compressor_current_summary').val(originalSummary).prop('readonly', true);
         $(this).hide();
@@ -883,6 +5293,114 @@ function setupListeners() {
     });
 }
 
+/**
+ * Register slash commands so scripts and Quick Replies can drive the extension.
+ * Every command returns its result as text for piping.
+ */
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'compress',
+        callback: async (args) => {
+            const options = { background: isTrueBoolean(String(args.quiet ?? '')) };
+            if (args.keep !== undefined && args.keep !== '') options.keepRecent = Number(args.keep);
+            if (args.until !== undefined && args.until !== '') options.until = Number(args.until);
+
+            const compressed = await compressChat(options);
+            return compressed ? (getCompressionData()?.summary || '') : '';
+        },
+        returns: '压缩后的总摘要，没有压缩任何消息时为空',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'keep',
+                description: '本次保留的最近消息数，默认使用设置中的值',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'until',
+                description: '最多压缩到此消息编号（含）',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'quiet',
+                description: '后台运行，进度显示在状态栏而不是弹窗',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        helpString: '增量压缩当前聊天：为新的旧消息生成摘要并向量化。例如 <code>/compress keep=5</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'compress-clear',
+        callback: async () => {
+            await clearCompressionData();
+            return '';
+        },
+        helpString: '清除当前聊天的所有压缩数据（不询问确认）',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'compress-summary',
+        callback: async (args, value) => {
+            const text = String(value ?? '');
+            if (text.trim() && !rejectWhileCompressing()) {
+                saveSummaryText(text);
+                updateStatusDisplay();
+            }
+            return getCompressionData()?.summary || '';
+        },
+        returns: '当前的总摘要',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '新的摘要内容；省略时只返回当前摘要',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        helpString: '获取或设置当前聊天的摘要。例如 <code>/compress-summary | /echo</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'compress-search',
+        callback: async (args, value) => {
+            const query = String(value ?? '').trim();
+            if (!query) return '';
+
+            const limit = Number(args.limit) > 0 ? Number(args.limit) : undefined;
+            const results = await queryVectors(query, { topK: limit });
+
+            if (args.format === 'json') {
+                return JSON.stringify(results.map(r => ({ index: r.index, text: r.text, score: r.similarity, chat: r.bank?.chatId ?? null })));
+            }
+            return results.map(r => r.bank ? `[${r.bank.chatId}] ${r.text}` : `#${r.index} ${r.text}`).join('\n');
+        },
+        returns: '检索到的历史消息，每行一条；format=json 时为 JSON 数组',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'limit',
+                description: '当前聊天最多返回的条数，可超过设置中的检索数量；默认使用该设置。包含长期记忆库时另外附加往期片段',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: '输出格式',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'text',
+                enumList: ['text', 'json'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '检索内容',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: '在已压缩的历史中检索（关键词 + 向量混合检索）。例如 <code>/compress-search limit=3 宝剑的来历</code>',
+    }));
+}
+
 // Initialize the extension
 jQuery(async function() {
     // Load settings HTML - 尝试多种路径
@@ -919,15 +5437,26 @@ jQuery(async function() {
 
     $('#extensions_settings2').append(settingsHtml);
 
+    // 聊天消息上的置顶按钮
+    $('#message_template .mes_buttons .extraMesButtons').prepend('<div title="置顶到压缩记忆（始终注入）" class="mes_button chat_compressor_pin_message fa-solid fa-thumbtack"></div>');
+
     // Load settings
     loadSettings();
 
     // Setup UI listeners
     setupListeners();
+    registerSlashCommands();
 
     // Setup event listeners
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    eventSource.on(event_types.GENERATION_ENDED, onGenerationEnded);
+    eventSource.on(event_types.GENERATION_STOPPED, onGenerationEnded);
+    eventSource.on(event_types.MESSAGE_RECEIVED, maybeAutoCompress);
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, onGroupMemberDrafted);
+    eventSource.on(event_types.MESSAGE_EDITED, reconcileCompressionDataDebounced);
+    eventSource.on(event_types.MESSAGE_DELETED, reconcileCompressionDataDebounced);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
 
     console.log('[Chat Compressor] 扩展已加载');
 });